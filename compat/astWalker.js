@@ -32,6 +32,27 @@ AstWalker.prototype.walk = function (ast, callback) {
     }
 };
 
+/**
+ * visit all the AST nodes, not just those under "nodes": function
+ * bodies, statements and expressions too
+ *
+ * @param {Object} ast  - AST node
+ * @param {Object or Function} callback  - as for walk()
+ */
+AstWalker.prototype.walkFull = function (ast, callback) {
+    if (callback instanceof Function) {
+        callback = {'*': callback};
+    }
+    if (!('*' in callback)) {
+        callback['*'] = function () { return true; };
+    }
+    if (manageCallBack(ast, callback)) {
+        for (const child of getChildren(ast)) {
+            this.walkFull(child, callback);
+        }
+    }
+};
+
 /**
  * walk the given @astList
  *
@@ -45,6 +66,24 @@ AstWalker.prototype.walkAstList = function (sourcesList, callback) {
     }
 };
 
+function isNode (value) {
+    return value !== null && typeof value === 'object' && typeof value.nodeType === 'string';
+}
+
+// The AST nodes held by the properties of node, in property order.
+function getChildren (node) {
+    const children = [];
+    for (const key of Object.keys(node)) {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            children.push(...value.filter(isNode));
+        } else if (isNode(value)) {
+            children.push(value);
+        }
+    }
+    return children;
+}
+
 function manageCallBack (node, callback) {
     if (node.nodeType in callback) {
         return callback[node.nodeType](node);
@@ -119,6 +119,15 @@ SourceMappingDecoder.prototype.convertOffsetToLineColumn = function (sourceLocat
  */
 SourceMappingDecoder.prototype.findNodeAtInstructionIndex = findNodeAtInstructionIndex;
 
+/**
+ * Retrieve the first @arg astNodeType that include the source location @arg sourceLocation
+ *
+ * @param {String} astNodeType - node type that include the source location
+ * @param {Object} sourceLocation - object containing attributes {start} and {length}
+ * @param {Object} ast - ast given by the compilation result
+ */
+SourceMappingDecoder.prototype.findNodeAtSourceLocation = findNodeAtSourceLocation;
+
 function convertFromCharPosition (pos, lineBreakPositions) {
     var line = util.findLowerBound(pos, lineBreakPositions);
     if (lineBreakPositions[line] !== pos) {
@@ -6,6 +6,34 @@
 'use strict';
 
 const helpers = require('./helpers');
+const network = require('./lib/network');
+const options = require('./lib/options');
+
+// Subcommands, e.g. "truffle run analyze login", handled by the helper of
+// the same name. Those that work on contracts get them compiled first.
+const commands = {
+    login: false,
+    logout: false,
+    whoami: false,
+    status: false,
+    report: false,
+    submit: true,
+    repro: true,
+};
+
+
+/**
+ * Sets the process exit code, unless it is 0 or there is none.
+ *
+ * @param {integer} exitCode - as returned by helpers.analyze
+ * @returns {integer} - exitCode
+ */
+function setExitCode(exitCode) {
+    if (exitCode) {
+        process.exitCode = exitCode;
+    }
+    return exitCode;
+}
 
 
 /**
@@ -18,12 +46,29 @@ module.exports = async (config) => {
     config.logger = config.logger || console;
 
     if (config.help) return helpers.printHelpMessage();
-    if (config.version) return helpers.printVersion();
-
-    // FIXME: This is still not right. Figure out what's up and how to fix.
-    // This can cause vyper to fail if you don't have vyper installed
-    // This might be a bug in truffle?
-    delete config.compilers.vyper;
-    await helpers.contractsCompile(config);
-    return await helpers.analyze(config);
+
+    // Commands apply --proxy and --ca-bundle to node's global HTTP(S)
+    // agents, which truffle goes on using once we are done.
+    const restoreNetwork = network.saveNetwork();
+    try {
+        if (config.version) return await helpers.printVersion(config);
+
+        const command = config._ && config._[1];
+        const isCommand = commands.hasOwnProperty(command);
+        if (isCommand && !commands[command]) {
+            return setExitCode(await helpers[command](config));
+        }
+
+        // Check the "analyze" section of truffle-config before compiling.
+        options.applyConfigDefaults(config);
+
+        // FIXME: This is still not right. Figure out what's up and how to fix.
+        // This can cause vyper to fail if you don't have vyper installed
+        // This might be a bug in truffle?
+        delete config.compilers.vyper;
+        await helpers.contractsCompile(config);
+        return setExitCode(await (isCommand ? helpers[command](config) : helpers.analyze(config)));
+    } finally {
+        restoreNetwork();
+    }
 };
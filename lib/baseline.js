@@ -0,0 +1,143 @@
+// Baseline files record accepted findings so that later runs
+// only report new ones.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Computes a stable fingerprint for a finding. Line numbers are left
+ * out on purpose so that edits elsewhere in a file don't turn an
+ * accepted finding into a new one.
+ *
+ * @param {object} finding
+ * @param {string} finding.contractName - name of the analyzed contract
+ * @param {string} finding.swcID - SWC id of the issue
+ * @param {string} finding.functionName - name of the enclosing function, if any
+ * @param {string} finding.snippet - source code at the issue location
+ * @returns {string} - hex sha256 digest
+ */
+function getFingerprint({ contractName, swcID, functionName, snippet }) {
+    // Whitespace is dropped so that re-indenting code keeps fingerprints.
+    const normalizedSnippet = (snippet || '').replace(/\s+/g, '');
+    return crypto.createHash('sha256')
+        .update([contractName || '', swcID || '', functionName || '', normalizedSnippet].join('\n'))
+        .digest('hex');
+}
+
+/**
+ * Reads a baseline file.
+ *
+ * @param {string} file - path to the baseline file
+ * @returns {object} - baseline document: { version, findings }
+ */
+function loadBaseline(file) {
+    let baseline;
+    try {
+        baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read baseline file ${file}: ${err.message}`);
+    }
+    if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+        throw new Error(`${file} is not a version ${BASELINE_VERSION} baseline file.`);
+    }
+    return baseline;
+}
+
+/**
+ * Writes the findings in eslintIssues to a baseline file.
+ *
+ * @param {string} file - path to the baseline file
+ * @param {ESLintIssue[]} eslintIssues - issues to record
+ * @param {object[]} kept - findings of an earlier baseline to record as they are
+ * @returns {object} - the baseline document written
+ */
+function saveBaseline(file, eslintIssues, kept = []) {
+    const findings = kept.slice();
+    eslintIssues.forEach(({ filePath, messages }) => {
+        messages.forEach(({ fingerprint, ruleId, line, message, analyzedContractName }) => {
+            findings.push({
+                fingerprint,
+                contractName: analyzedContractName,
+                swcID: ruleId,
+                file: path.basename(filePath),
+                line,
+                message,
+            });
+        });
+    });
+    findings.sort((a, b) => a.file.localeCompare(b.file) ||
+        a.line - b.line ||
+        a.fingerprint.localeCompare(b.fingerprint));
+
+    const baseline = {
+        version: BASELINE_VERSION,
+        findings,
+    };
+    fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + '\n');
+    return baseline;
+}
+
+/**
+ * Records the findings of the analyzed contracts in a baseline file.
+ * Findings recorded earlier for other contracts, e.g. those left out
+ * by contract names on the command line or --exclude, are kept. Those
+ * of files written before findings had a contractName can't be told
+ * apart and are replaced.
+ *
+ * @param {string} file - path to the baseline file
+ * @param {ESLintIssue[]} eslintIssues - issues of the analyzed contracts
+ * @param {string[]} contractNames - names of the analyzed contracts
+ * @returns {object} - { baseline, kept }: the document written and the number of findings kept
+ */
+function updateBaseline(file, eslintIssues, contractNames) {
+    const kept = fs.existsSync(file) ? loadBaseline(file).findings
+        .filter(({ contractName }) => contractName && contractNames.indexOf(contractName) < 0) : [];
+    return {
+        baseline: saveBaseline(file, eslintIssues, kept),
+        kept: kept.length,
+    };
+}
+
+/**
+ * Removes findings recorded in a baseline from eslintIssues.
+ * A fingerprint that occurs n times in the baseline hides at most
+ * n findings, so a copy of an accepted problem is still reported.
+ *
+ * @param {ESLintIssue[]} eslintIssues - issues of the current run
+ * @param {object} baseline - baseline document as given by loadBaseline
+ * @returns {ESLintIssue[]} - issues not in the baseline, with counts adjusted
+ */
+function filterBaseline(eslintIssues, baseline) {
+    const remaining = {};
+    baseline.findings.forEach(({ fingerprint }) => {
+        remaining[fingerprint] = (remaining[fingerprint] || 0) + 1;
+    });
+
+    return eslintIssues.map(issue => {
+        const messages = issue.messages.filter(({ fingerprint }) => {
+            if (remaining[fingerprint] > 0) {
+                remaining[fingerprint]--;
+                return false;
+            }
+            return true;
+        });
+        const errorCount = messages.filter(({ fatal, severity }) => fatal || severity === 2).length;
+        return Object.assign({}, issue, {
+            messages,
+            errorCount,
+            warningCount: messages.length - errorCount,
+        });
+    });
+}
+
+module.exports = {
+    getFingerprint,
+    loadBaseline,
+    saveBaseline,
+    updateBaseline,
+    filterBaseline,
+};
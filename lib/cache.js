@@ -0,0 +1,101 @@
+// On-disk cache of MythX reports, so that unchanged contracts aren't
+// submitted again.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const readdir = util.promisify(fs.readdir);
+const unlink = util.promisify(fs.unlink);
+const mkdir = util.promisify(fs.mkdir);
+
+const CACHE_DIR = '.mythx-cache';
+
+/**
+ * Computes the cache key of an analysis request.
+ *
+ * @param {object} data - MythX API input as produced by truffle2MythXJSON
+ * @param {string} mode - analysis mode, e.g. quick or full
+ * @returns {string} - hex sha256 digest
+ */
+const getCacheKey = (data, mode) => crypto.createHash('sha256')
+    .update(JSON.stringify(data))
+    .update(`\n${mode}`)
+    .digest('hex');
+
+/**
+ * Returns the cache directory of a truffle project.
+ *
+ * @param {string} workingDirectory - truffle project directory
+ * @returns {string}
+ */
+const getCacheDir = workingDirectory => path.join(workingDirectory || process.cwd(), CACHE_DIR);
+
+/**
+ * Reads cached MythX reports.
+ *
+ * @param {string} cacheDir - cache directory
+ * @param {string} key - cache key given by getCacheKey
+ * @returns {Promise} - resolves to the cached reports or null on a miss
+ */
+const readCache = async (cacheDir, key) => {
+    try {
+        return JSON.parse(await readFile(path.join(cacheDir, `${key}.json`), 'utf8'));
+    } catch (err) {
+        // A missing or unreadable entry is just a cache miss.
+        return null;
+    }
+};
+
+/**
+ * Stores MythX reports in the cache.
+ *
+ * @param {string} cacheDir - cache directory
+ * @param {string} key - cache key given by getCacheKey
+ * @param {object[]} reports - MythX analyze API output
+ * @returns {Promise}
+ */
+const writeCache = async (cacheDir, key, reports) => {
+    try {
+        await mkdir(cacheDir);
+    } catch (err) {
+        if (err.code !== 'EEXIST') {
+            throw err;
+        }
+    }
+    await writeFile(path.join(cacheDir, `${key}.json`), JSON.stringify(reports));
+};
+
+/**
+ * Removes all cached reports.
+ *
+ * @param {string} cacheDir - cache directory
+ * @returns {Promise} - resolves to the number of entries removed
+ */
+const clearCache = async cacheDir => {
+    let files;
+    try {
+        files = await readdir(cacheDir);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return 0;
+        }
+        throw err;
+    }
+    const entries = files.filter(f => f.endsWith('.json'));
+    await Promise.all(entries.map(f => unlink(path.join(cacheDir, f))));
+    return entries.length;
+};
+
+module.exports = {
+    CACHE_DIR,
+    getCacheKey,
+    getCacheDir,
+    readCache,
+    writeCache,
+    clearCache,
+};
@@ -0,0 +1,91 @@
+// An armlet client that can also submit analyses without waiting for
+// them, and fetch their status and issues later by UUID.
+'use strict';
+
+const armlet = require('armlet');
+const login = require('armlet/lib/login');
+const refresh = require('armlet/lib/refresh');
+const requester = require('armlet/lib/requester');
+const simpleRequester = require('armlet/lib/simpleRequester');
+const { getStatusCode } = require('./pool');
+
+
+class MythXClient extends armlet.Client {
+    /**
+     * Calls the API with an access token, logging in first if needed and
+     * refreshing the tokens once when they have expired. API keys come
+     * without a refresh token, so an expired key is an error.
+     *
+     * @param {Function} request - async function called with the access token
+     * @returns {Promise} - resolves to the result of request
+     */
+    async withAccessToken(request) {
+        if (!this.accessToken) {
+            const tokens = await login.do(this.email, this.ethAddress, this.password, this.apiUrl);
+            this.accessToken = tokens.access;
+            this.refreshToken = tokens.refresh;
+        }
+        try {
+            return await request(this.accessToken);
+        } catch (err) {
+            if (getStatusCode(err) !== 401 || !this.refreshToken) {
+                throw err;
+            }
+            // Unlike login, the refresh endpoint answers { accessToken, refreshToken }.
+            const tokens = await refresh.do(this.refreshToken, this.accessToken, this.apiUrl);
+            this.accessToken = tokens.accessToken;
+            this.refreshToken = tokens.refreshToken;
+            return request(this.accessToken);
+        }
+    }
+
+    /**
+     * Submits an analysis request without waiting for its result.
+     *
+     * @param {Object} options - same as for analyze(): { data, clientToolName }
+     * @returns {Promise} - resolves to the UUID of the analysis
+     */
+    async submit(options) {
+        if (options === undefined || options.data === undefined || options.data.deployedBytecode === undefined) {
+            throw new TypeError('Please provide a deployedBytecode option.');
+        }
+        return this.withAccessToken(accessToken => requester.do(options, accessToken, this.apiUrl));
+    }
+
+    /**
+     * Fetches the status of an analysis.
+     *
+     * @param {String} uuid - analysis UUID given by submit()
+     * @returns {Promise} - resolves to the analysis record, whose status is
+     *                      one of "Queued", "In progress", "Finished" or "Error"
+     */
+    async getStatus(uuid) {
+        return this.withAccessToken(accessToken => simpleRequester.do({
+            url: this.getAnalysisUrl(uuid),
+            accessToken,
+            json: true,
+        }));
+    }
+
+    /**
+     * Fetches the issues of a finished analysis.
+     *
+     * @param {String} uuid - analysis UUID given by submit()
+     * @returns {Promise} - resolves to the MythX reports, as analyze() does
+     */
+    async getIssues(uuid) {
+        return this.withAccessToken(accessToken => simpleRequester.do({
+            url: `${this.getAnalysisUrl(uuid)}/issues`,
+            accessToken,
+            json: true,
+        }));
+    }
+
+    getAnalysisUrl(uuid) {
+        return `${this.apiUrl.href}${armlet.defaultApiVersion}/analyses/${encodeURIComponent(uuid)}`;
+    }
+}
+
+module.exports = {
+    MythXClient,
+};
@@ -0,0 +1,185 @@
+// MythX credentials, either from MYTHX_* environment variables or
+// stored by "truffle run analyze login" in a per-user configuration
+// file that only its owner can read.
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const Configstore = require('configstore');
+const pjson = require('../package.json');
+
+// Keys we keep in the store.
+const credentialKeys = ['apiKey', 'email', 'ethAddress', 'password'];
+
+// Environment variables that take precedence over stored credentials.
+const environmentVariables = ['MYTHX_API_KEY', 'MYTHX_PASSWORD', 'MYTHX_ETH_ADDRESS', 'MYTHX_EMAIL'];
+
+const pick = obj => {
+    const result = {};
+    credentialKeys
+        .filter(key => obj[key])
+        .forEach(key => { result[key] = obj[key]; });
+    return result;
+};
+
+/**
+ * Are MythX credentials given in the environment?
+ *
+ * @param {Object} env - environment variables, e.g. process.env
+ * @returns {boolean}
+ */
+const hasEnvironmentCredentials = env => environmentVariables.some(name => env[name]);
+
+class Credentials {
+    /**
+     *
+     * @param {Configstore} store - where credentials are kept; by default
+     *                              ~/.config/configstore/truffle-analyze.json
+     */
+    constructor(store) {
+        this.store = store || new Configstore(pjson.name);
+    }
+
+    /**
+     * Path of the file credentials are stored in.
+     */
+    get path() {
+        return this.store.path;
+    }
+
+    /**
+     * Reads stored credentials.
+     *
+     * @returns {Object} - some of apiKey, email, ethAddress and password; empty when none are stored
+     */
+    load() {
+        return pick(this.store.all || {});
+    }
+
+    /**
+     * Stores credentials, replacing any stored before.
+     *
+     * @param {Object} credentials - apiKey, or password with email or ethAddress
+     */
+    save(credentials) {
+        this.store.all = pick(credentials);
+        // Configstore creates the file with mode 0600, but an older file may be laxer.
+        fs.chmodSync(this.store.path, 0o600);
+    }
+
+    /**
+     * Removes stored credentials.
+     *
+     * @returns {boolean} - true if there were any
+     */
+    clear() {
+        const hadCredentials = Object.keys(this.load()).length > 0;
+        this.store.clear();
+        return hadCredentials;
+    }
+
+    /**
+     * Works out the armlet client authentication options. The MYTHX_*
+     * environment variables take precedence over stored credentials.
+     *
+     * @param {Object} env - environment variables, e.g. process.env
+     * @returns {Object} - { auth, source } where auth holds armlet.Client options and
+     *                     source is "environment" or the path of the credentials file
+     */
+    getArmletAuth(env) {
+        if (env.MYTHX_API_KEY) {
+            return { auth: { apiKey: env.MYTHX_API_KEY }, source: 'environment' };
+        }
+
+        const useEnvironment = hasEnvironmentCredentials(env);
+        const credentials = useEnvironment ? {
+            password: env.MYTHX_PASSWORD,
+            ethAddress: env.MYTHX_ETH_ADDRESS,
+            email: env.MYTHX_EMAIL,
+        } : this.load();
+        const source = useEnvironment ? 'environment' : this.path;
+
+        if (credentials.apiKey) {
+            return { auth: { apiKey: credentials.apiKey }, source };
+        }
+
+        if (!credentials.password) {
+            throw new Error('You need to set environment variable MYTHX_PASSWORD to run analyze, ' +
+                'or store credentials with "truffle run analyze login".');
+        }
+
+        const auth = { password: credentials.password };
+        if (credentials.ethAddress) {
+            auth.ethAddress = credentials.ethAddress;
+        } else if (credentials.email) {
+            auth.email = credentials.email;
+        } else {
+            throw new Error('You need to set either environment variable MYTHX_ETH_ADDRESS or MYTHX_EMAIL to run analyze.');
+        }
+        return { auth, source };
+    }
+}
+
+/**
+ * Creates a prompt for reading answers from a terminal, or line by
+ * line from a pipe. Secret answers, e.g. passwords, are not echoed.
+ *
+ * @param {Object} streams - { input, output }, process.stdin and process.stderr by default
+ * @returns {Object} - { ask(question, { secret }), close() }; ask resolves to the
+ *                     trimmed answer, or to '' once input has ended
+ */
+function createPrompt({ input = process.stdin, output = process.stderr } = {}) {
+    const rl = readline.createInterface({ input, output, terminal: !!input.isTTY });
+    const lines = [];
+    const waiting = [];
+    let closed = false;
+    let muted = false;
+
+    // Questions are written directly, so readline's own prompt stays empty.
+    rl.setPrompt('');
+    rl._writeToOutput = text => {
+        if (!muted) {
+            output.write(text);
+        }
+    };
+    // A pipe may deliver several answers at once, so keep lines
+    // that arrive before their question is asked.
+    rl.on('line', line => {
+        if (muted && input.isTTY) {
+            output.write('\n');
+        }
+        muted = false;
+        if (waiting.length > 0) {
+            waiting.shift()(line.trim());
+        } else {
+            lines.push(line.trim());
+        }
+    });
+    rl.on('close', () => {
+        closed = true;
+        waiting.splice(0).forEach(resolve => resolve(''));
+    });
+
+    return {
+        ask(question, { secret = false } = {}) {
+            output.write(question);
+            if (lines.length > 0) {
+                return Promise.resolve(lines.shift());
+            }
+            if (closed) {
+                return Promise.resolve('');
+            }
+            muted = secret;
+            return new Promise(resolve => waiting.push(resolve));
+        },
+        close() {
+            rl.close();
+        },
+    };
+}
+
+module.exports = {
+    Credentials,
+    createPrompt,
+    hasEnvironmentCredentials,
+};
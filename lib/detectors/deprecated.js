@@ -0,0 +1,51 @@
+// SWC-111: use of deprecated Solidity functions.
+'use strict';
+
+// Deprecated global functions and their replacements.
+const functions = {
+    suicide: 'selfdestruct()',
+    sha3: 'keccak256()',
+};
+
+// Deprecated members of global objects and their replacements.
+const members = {
+    'msg.gas': 'gasleft()',
+    'block.blockhash': 'blockhash()',
+};
+
+module.exports = {
+    meta: {
+        swcID: 'SWC-111',
+        swcTitle: 'Use of Deprecated Solidity Functions',
+        severity: 'Low',
+        description: 'Deprecated constructs are removed in newer compiler versions and some ' +
+            'behave differently from their replacements.',
+    },
+    create(context) {
+        const report = (node, name, replacement) => context.report({
+            node,
+            message: `"${name}" is deprecated; use ${replacement} instead.`,
+        });
+        return {
+            Throw(node) {
+                report(node, 'throw', 'revert()');
+            },
+            Identifier(node) {
+                const typeString = (node.typeDescriptions || {}).typeString || '';
+                if (functions.hasOwnProperty(node.name) && typeString.startsWith('function')) {
+                    report(node, node.name, functions[node.name]);
+                }
+            },
+            MemberAccess(node) {
+                const { expression } = node;
+                const name = expression.nodeType === 'Identifier' ? `${expression.name}.${node.memberName}` : '';
+                const typeString = (expression.typeDescriptions || {}).typeString || '';
+                if (members.hasOwnProperty(name)) {
+                    report(node, name, members[name]);
+                } else if (node.memberName === 'callcode' && /^address\b/.test(typeString)) {
+                    report(node, 'callcode', 'delegatecall()');
+                }
+            },
+        };
+    },
+};
@@ -0,0 +1,23 @@
+// SWC-103: floating pragma.
+'use strict';
+
+module.exports = {
+    meta: {
+        swcID: 'SWC-103',
+        swcTitle: 'Floating Pragma',
+        severity: 'Low',
+        description: 'Contracts should be deployed with the same compiler version they have been ' +
+            'tested with. Lock the pragma to that version, e.g. "pragma solidity 0.5.12;".',
+    },
+    create(context) {
+        return {
+            PragmaDirective(node) {
+                const [ name, ...version ] = node.literals || [];
+                const versionRange = version.join('');
+                if (name === 'solidity' && /[\^~<>*|-]/.test(versionRange)) {
+                    context.report({ node, message: `The compiler version is not fixed: "${versionRange}".` });
+                }
+            },
+        };
+    },
+};
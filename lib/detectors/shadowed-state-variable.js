@@ -0,0 +1,35 @@
+// SWC-119: state variables shadowing those of base contracts.
+'use strict';
+
+const getStateVariables = contract => (contract.nodes || [])
+    .filter(node => node.nodeType === 'VariableDeclaration' && node.stateVariable);
+
+module.exports = {
+    meta: {
+        swcID: 'SWC-119',
+        swcTitle: 'Shadowing State Variables',
+        severity: 'Low',
+        description: 'A state variable with the name of one in a base contract is a separate ' +
+            'variable; functions of the base contract keep using their own.',
+    },
+    create(context) {
+        return {
+            ContractDefinition(node) {
+                // The contract itself comes first in the linearization.
+                const bases = (node.linearizedBaseContracts || []).slice(1)
+                    .map(id => context.getContract(id))
+                    .filter(base => base);
+                getStateVariables(node).forEach(variable => {
+                    const base = bases.find(contract =>
+                        getStateVariables(contract).some(inherited => inherited.name === variable.name));
+                    if (base) {
+                        context.report({
+                            node: variable,
+                            message: `State variable "${variable.name}" shadows the one in ${base.name}.`,
+                        });
+                    }
+                });
+            },
+        };
+    },
+};
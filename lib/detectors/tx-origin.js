@@ -0,0 +1,22 @@
+// SWC-115: authorization through tx.origin.
+'use strict';
+
+module.exports = {
+    meta: {
+        swcID: 'SWC-115',
+        swcTitle: 'Authorization through tx.origin',
+        severity: 'Medium',
+        description: 'tx.origin is the account that started the transaction, which may have ' +
+            'called a malicious contract that calls this one. Use msg.sender for authorization.',
+    },
+    create(context) {
+        return {
+            MemberAccess(node) {
+                const { expression } = node;
+                if (node.memberName === 'origin' && expression.nodeType === 'Identifier' && expression.name === 'tx') {
+                    context.report({ node, message: 'Use of tx.origin.' });
+                }
+            },
+        };
+    },
+};
@@ -0,0 +1,49 @@
+// SWC-104: unchecked return value of a low-level call.
+'use strict';
+
+const lowLevelCalls = ['call', 'callcode', 'delegatecall', 'send', 'staticcall'];
+
+/**
+ * Finds the address member called by a call expression, looking through
+ * call options, as in addr.call.value(1)(data) and addr.call{value: 1}(data).
+ *
+ * @param {object} callee - "expression" of a FunctionCall node
+ * @returns {object|null} - MemberAccess node
+ */
+const getCalledMember = callee => {
+    for (;;) {
+        if (callee.nodeType === 'FunctionCallOptions') {
+            callee = callee.expression;
+        } else if (callee.nodeType === 'FunctionCall' && callee.expression.nodeType === 'MemberAccess' &&
+                   ['value', 'gas'].indexOf(callee.expression.memberName) >= 0) {
+            callee = callee.expression.expression;
+        } else {
+            return callee.nodeType === 'MemberAccess' ? callee : null;
+        }
+    }
+};
+
+module.exports = {
+    meta: {
+        swcID: 'SWC-104',
+        swcTitle: 'Unchecked Call Return Value',
+        severity: 'Medium',
+        description: 'Low-level calls return false instead of throwing when the callee fails. ' +
+            'Check the return value, e.g. with require().',
+    },
+    create(context) {
+        return {
+            ExpressionStatement(node) {
+                const { expression } = node;
+                if (expression.nodeType !== 'FunctionCall') {
+                    return;
+                }
+                const member = getCalledMember(expression.expression);
+                const typeString = member && (member.expression.typeDescriptions || {}).typeString;
+                if (member && lowLevelCalls.indexOf(member.memberName) >= 0 && /^address\b/.test(typeString || '')) {
+                    context.report({ node: expression, message: `The return value of ${member.memberName}() is not checked.` });
+                }
+            },
+        };
+    },
+};
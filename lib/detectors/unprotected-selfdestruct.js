@@ -0,0 +1,39 @@
+// SWC-106: selfdestruct anyone can call.
+'use strict';
+
+const destructors = ['selfdestruct', 'suicide'];
+
+module.exports = {
+    meta: {
+        swcID: 'SWC-106',
+        swcTitle: 'Unprotected SELFDESTRUCT Instruction',
+        severity: 'High',
+        description: 'A function that destroys the contract should only be callable by ' +
+            'authorized accounts, e.g. through a modifier or a check of msg.sender.',
+    },
+    create(context) {
+        return {
+            FunctionDefinition(node) {
+                if (!node.body || node.isConstructor || node.kind === 'constructor' ||
+                    ['internal', 'private'].indexOf(node.visibility) >= 0 ||
+                    (node.modifiers || []).length > 0) {
+                    return;
+                }
+                // Any look at msg.sender is taken for an access check.
+                const checksSender = context.findAll(node.body, 'MemberAccess').some(member =>
+                    member.memberName === 'sender' && member.expression.name === 'msg');
+                if (checksSender) {
+                    return;
+                }
+                const functionName = node.name || node.kind || 'fallback';
+                context.findAll(node.body, 'FunctionCall')
+                    .filter(call => call.expression.nodeType === 'Identifier' &&
+                        destructors.indexOf(call.expression.name) >= 0)
+                    .forEach(call => context.report({
+                        node: call,
+                        message: `Anyone can destroy the contract by calling ${functionName}().`,
+                    }));
+            },
+        };
+    },
+};
@@ -0,0 +1,43 @@
+// What the report styles have in common: severities and SWC links, and
+// the contract a finding is reported under. Not a report style itself.
+'use strict';
+
+const path = require('path');
+
+const SWC_REGISTRY_URL = 'https://smartcontractsecurity.github.io/SWC-registry/docs/';
+
+// MythX severities, most severe first.
+const severities = ['High', 'Medium', 'Low'];
+
+const eslintSeverity2MythX = {
+    2: 'Medium',
+    1: 'Low',
+};
+
+/**
+ * Gives the MythX severity of a message, or one derived from its ESLint severity.
+ *
+ * @param {object} message - ESLint-style message
+ * @returns {string} - High, Medium or Low
+ */
+const getSeverity = message => severities.indexOf(message.mythXseverity) >= 0 ?
+    message.mythXseverity : eslintSeverity2MythX[message.severity] || 'Low';
+
+/**
+ * Gives the contract a message is reported under: the contract whose
+ * analysis found it, even when it is in inherited code or outside of
+ * any contract.
+ *
+ * @param {object} message - ESLint-style message
+ * @param {string} filePath - solidity file path, for messages about no known contract
+ * @returns {string}
+ */
+const getReportedContract = (message, filePath) =>
+    message.analyzedContractName || message.contractName || path.basename(filePath);
+
+module.exports = {
+    SWC_REGISTRY_URL,
+    severities,
+    getSeverity,
+    getReportedContract,
+};
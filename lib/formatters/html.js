@@ -0,0 +1,248 @@
+// Self-contained HTML report: one file with its styles and script
+// inlined, so that it can be opened straight from a CI artifact.
+// Issues are filtered and sorted in the browser.
+'use strict';
+
+const path = require('path');
+const pjson = require('../../package.json');
+const { SWC_REGISTRY_URL, severities, getSeverity, getReportedContract } = require('./common');
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Flattens ESLint-style results into one entry per issue.
+ *
+ * @param {object[]} results - ESLint-style results grouped by file
+ * @returns {object[]} - { file, contract, severity, message }
+ */
+const getIssues = results => results
+    .map(result => result.messages.map(message => ({
+        file: path.basename(result.filePath),
+        contract: getReportedContract(message, result.filePath),
+        severity: getSeverity(message),
+        message,
+    })))
+    .reduce((acc, curr) => acc.concat(curr), []);
+
+/**
+ * Counts issues by a key, in order of first appearance.
+ *
+ * @param {object[]} issues - as given by getIssues
+ * @param {Function} getKey - gives the key of an issue
+ * @returns {Array[]} - [key, { High, Medium, Low, total }] pairs
+ */
+const countBy = (issues, getKey) => {
+    const counts = new Map();
+    issues.forEach(issue => {
+        const key = getKey(issue);
+        if (!counts.has(key)) {
+            counts.set(key, { High: 0, Medium: 0, Low: 0, total: 0 });
+        }
+        counts.get(key)[issue.severity]++;
+        counts.get(key).total++;
+    });
+    return Array.from(counts.entries());
+};
+
+const renderCountRows = (counts, renderKey) => counts.map(([key, count]) => `<tr>${renderKey(key)}` +
+    severities.map(severity => `<td class="num">${count[severity]}</td>`).join('') +
+    `<td class="num">${count.total}</td></tr>`).join('\n');
+
+const renderRuleId = ruleId => /^SWC-\d+$/.test(ruleId) ?
+    `<a href="${SWC_REGISTRY_URL}${ruleId}">${escapeHtml(ruleId)}</a>` : escapeHtml(ruleId);
+
+/**
+ * Renders the source snippet of a message, with the line of the issue
+ * and its underline highlighted.
+ *
+ * @param {string[]} snippet - as given by snippet.formatSnippet
+ * @returns {string}
+ */
+const renderSnippet = snippet => {
+    if (!snippet || snippet.length === 0) {
+        return '';
+    }
+    const lines = snippet.map(line => {
+        const className = line.startsWith('>') ? 'hl' : /^\s+\|\s+\^/.test(line) ? 'caret' : '';
+        return className ? `<span class="${className}">${escapeHtml(line)}</span>` : escapeHtml(line);
+    });
+    return `<pre class="snippet">${lines.join('\n')}</pre>`;
+};
+
+/**
+ * Renders one issue.
+ *
+ * @param {object} issue - as given by getIssues
+ * @returns {string}
+ */
+const renderIssue = ({ file, contract, severity, message }) => {
+    const ruleId = message.ruleId || 'MythX';
+    const location = message.line > 0 ? `${file}:${message.line}:${message.column}` : file;
+    // Inherited code is in a base contract, which the scope names.
+    const scope = [message.contractName || contract, message.functionSignature].filter(Boolean).join('.');
+    const description = message.description || { head: message.message, tail: '' };
+    const searchText = [ruleId, message.swcTitle, scope, location, message.message].join(' ').toLowerCase();
+    return `<div class="issue" data-severity="${severity}" data-rule="${escapeHtml(ruleId)}"
+     data-contract="${escapeHtml(contract)}" data-file="${escapeHtml(file)}" data-line="${message.line}"
+     data-text="${escapeHtml(searchText)}">
+  <h3><span class="severity ${severity}">${severity}</span> ${renderRuleId(ruleId)}
+    ${escapeHtml(message.swcTitle || '')}</h3>
+  <p class="location">${escapeHtml(scope)} &mdash; ${escapeHtml(location)}</p>
+  <p class="head">${escapeHtml(description.head || '')}</p>
+  ${description.tail ? `<p class="tail">${escapeHtml(description.tail)}</p>` : ''}
+  ${renderSnippet(message.snippet)}
+</div>`;
+};
+
+const style = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.8em; text-align: left; }
+th { background: #f3f3f3; }
+th.sortable { cursor: pointer; }
+td.num { text-align: right; }
+.severity { border-radius: 3px; color: #fff; font-size: 0.8em; padding: 0.1em 0.5em; }
+.High { background: #c0392b; }
+.Medium { background: #e67e22; }
+.Low { background: #7f8c8d; }
+.issue { border: 1px solid #ddd; border-radius: 4px; margin: 1em 0; padding: 0 1em; }
+.issue h3 { font-size: 1em; }
+.location { color: #555; font-family: monospace; }
+.tail { color: #444; }
+.snippet { background: #f8f8f8; overflow-x: auto; padding: 0.5em; }
+.snippet .hl { background: #fff3b0; }
+.snippet .caret { color: #c0392b; }
+.filters { margin: 1em 0; }
+.filters select, .filters input { margin-right: 1em; }
+`;
+
+// Filters issues by severity, rule and text, and sorts them; ES5 for old browsers.
+const script = `
+(function () {
+    var issues = Array.prototype.slice.call(document.querySelectorAll('.issue'));
+    var list = document.getElementById('issues');
+    var severity = document.getElementById('filter-severity');
+    var rule = document.getElementById('filter-rule');
+    var text = document.getElementById('filter-text');
+    var sort = document.getElementById('sort');
+    var shown = document.getElementById('shown');
+    var rank = { High: 0, Medium: 1, Low: 2 };
+    var compare = {
+        severity: function (a, b) { return rank[a.dataset.severity] - rank[b.dataset.severity]; },
+        file: function (a, b) {
+            return a.dataset.file.localeCompare(b.dataset.file) || a.dataset.line - b.dataset.line;
+        },
+        contract: function (a, b) { return a.dataset.contract.localeCompare(b.dataset.contract); },
+        rule: function (a, b) { return a.dataset.rule.localeCompare(b.dataset.rule); }
+    };
+    function update() {
+        var count = 0;
+        issues.sort(function (a, b) {
+            return compare[sort.value](a, b) || issues.indexOf(a) - issues.indexOf(b);
+        });
+        issues.forEach(function (issue) {
+            var visible = (!severity.value || issue.dataset.severity === severity.value) &&
+                (!rule.value || issue.dataset.rule === rule.value) &&
+                issue.dataset.text.indexOf(text.value.toLowerCase()) >= 0;
+            issue.style.display = visible ? '' : 'none';
+            count += visible ? 1 : 0;
+            list.appendChild(issue);
+        });
+        shown.textContent = count + ' of ' + issues.length + ' issues shown';
+    }
+    [severity, rule, sort].forEach(function (input) { input.addEventListener('change', update); });
+    text.addEventListener('input', update);
+    Array.prototype.forEach.call(document.querySelectorAll('th.sortable'), function (th) {
+        th.addEventListener('click', function () {
+            var table = th.closest('table');
+            var column = Array.prototype.indexOf.call(th.parentNode.children, th);
+            var rows = Array.prototype.slice.call(table.tBodies[0].rows);
+            var descending = th.dataset.order !== 'desc';
+            th.dataset.order = descending ? 'desc' : 'asc';
+            rows.sort(function (a, b) {
+                var x = a.cells[column].textContent, y = b.cells[column].textContent;
+                var result = isNaN(x) || isNaN(y) ? x.localeCompare(y) : x - y;
+                return descending ? -result : result;
+            });
+            rows.forEach(function (row) { table.tBodies[0].appendChild(row); });
+        });
+    });
+    update();
+})();
+`;
+
+/**
+ * Formats ESLint-style results produced by MythXIssues as a static HTML page.
+ *
+ * @param {object[]} results - ESLint-style results grouped by file
+ * @returns {string} - HTML document
+ */
+module.exports = function(results) {
+    const issues = getIssues(results);
+    const bySeverity = countBy(issues, issue => issue.severity);
+    const ruleCounts = countBy(issues, issue => issue.message.ruleId || 'MythX');
+    const contractCounts = countBy(issues, issue => `${issue.contract}\n${issue.file}`);
+    const severityCount = severity => (bySeverity.find(([key]) => key === severity) || [null, { total: 0 }])[1].total;
+    const sortableHeader = severities.map(severity => `<th class="sortable">${severity}</th>`).join('') +
+        '<th class="sortable">Total</th>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>MythX report</title>
+<style>${style}</style>
+</head>
+<body>
+<h1>MythX report</h1>
+<p>${issues.length} issues: ${severities.map(severity => `${severityCount(severity)} ${severity}`).join(', ')}.
+Generated by ${escapeHtml(pjson.name)} ${escapeHtml(pjson.version)} on ${new Date().toISOString()}.</p>
+
+<h2>Issues by SWC</h2>
+<table id="rules">
+<thead><tr><th class="sortable">Rule</th><th class="sortable">Title</th>${sortableHeader}</tr></thead>
+<tbody>
+${renderCountRows(ruleCounts, ruleId => {
+        const { message } = issues.find(issue => (issue.message.ruleId || 'MythX') === ruleId);
+        return `<td>${renderRuleId(ruleId)}</td><td>${escapeHtml(message.swcTitle || '')}</td>`;
+    })}
+</tbody>
+</table>
+
+<h2>Issues by contract</h2>
+<table id="contracts">
+<thead><tr><th class="sortable">Contract</th><th class="sortable">File</th>${sortableHeader}</tr></thead>
+<tbody>
+${renderCountRows(contractCounts, key => {
+        const [contract, file] = key.split('\n');
+        return `<td>${escapeHtml(contract)}</td><td>${escapeHtml(file)}</td>`;
+    })}
+</tbody>
+</table>
+
+<h2>Issues</h2>
+<div class="filters">
+<select id="filter-severity"><option value="">All severities</option>
+${severities.map(severity => `<option>${severity}</option>`).join('')}</select>
+<select id="filter-rule"><option value="">All rules</option>
+${ruleCounts.map(([ruleId]) => `<option>${escapeHtml(ruleId)}</option>`).join('')}</select>
+<input id="filter-text" type="search" placeholder="Search">
+<label>Sort by <select id="sort">
+<option value="severity">severity</option><option value="file">file and line</option>
+<option value="contract">contract</option><option value="rule">rule</option>
+</select></label>
+<span id="shown"></span>
+</div>
+<div id="issues">
+${issues.map(renderIssue).join('\n')}
+</div>
+<script>${script}</script>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,81 @@
+// Everything MythX returned, for scripts that post-process results:
+//
+//   {
+//       "version": 1,
+//       "tool": { "name": "truffle-analyze", "version": "5.2.0" },
+//       "contracts": [{
+//           "contractName": "SimpleDAO",
+//           "sourcePath": "/project/contracts/simple_dao.sol",
+//           "analysis": { "mode": "full", "uuid": "5a7b...", "retries": 0, "cached": false },
+//           "reports": [ ...MythX reports as received... ],
+//           "issues": [ ...each issue with its resolved locations... ]
+//       }],
+//       "errors": [{ "contractName": "Token", "message": "..." }]
+//   }
+//
+// Issues are listed whether or not they are reported: "reported" is
+// false for those dropped by --min-severity, --ignore-swc, a baseline or a
+// suppression comment ("suppressed" is true for the latter). The uuid is
+// null for cached reports and local analyses. The version changes only
+// when fields are removed or change meaning.
+'use strict';
+
+const pjson = require('../../package.json');
+
+const JSON_MYTHX_VERSION = 1;
+
+/**
+ * Formats the MythX reports of analyzed contracts as a versioned JSON
+ * document.
+ *
+ * @param {object[]} results - ESLint-style results grouped by file, as reported
+ * @param {object} data
+ * @param {MythXIssues[]} data.objects - analyzed contracts
+ * @param {Error[]} data.errors - errors of analyses that failed
+ * @returns {string} - JSON document
+ */
+module.exports = function(results, { objects = [], errors = [] } = {}) {
+    // Issues of the same code can share a fingerprint, so each reported
+    // message accounts for one issue only.
+    const reported = {};
+    results.forEach(result => result.messages.forEach(({ fingerprint }) => {
+        reported[fingerprint] = (reported[fingerprint] || 0) + 1;
+    }));
+    const isReported = issue => {
+        if (issue.suppressed || !reported[issue.fingerprint]) {
+            return false;
+        }
+        reported[issue.fingerprint]--;
+        return true;
+    };
+
+    const document = {
+        version: JSON_MYTHX_VERSION,
+        tool: {
+            name: pjson.name,
+            version: pjson.version,
+        },
+        contracts: objects.map(obj => {
+            const data = obj.getMythXData();
+            return {
+                contractName: data.contractName,
+                sourcePath: data.sourcePath,
+                analysis: {
+                    mode: obj.analysisMode || null,
+                    uuid: obj.uuid || null,
+                    retries: obj.retries || 0,
+                    cached: !!obj.cached,
+                },
+                reports: data.reports,
+                issues: data.issues.map(issue => Object.assign(issue, {
+                    reported: isReported(issue),
+                })),
+            };
+        }),
+        errors: errors.map(err => ({
+            contractName: err.contractName || null,
+            message: err.message || String(err),
+        })),
+    };
+    return JSON.stringify(document, null, 2);
+};
@@ -0,0 +1,119 @@
+// JUnit XML report, for CI servers that show test results. Each analyzed
+// contract is a test suite and each finding a failed test case; contracts
+// without findings pass, and those whose analysis failed are in error.
+'use strict';
+
+const path = require('path');
+const { getReportedContract } = require('./common');
+
+// Control characters other than tab and line breaks are not allowed in XML 1.0.
+const isXmlChar = c => c >= ' ' || c === '\t' || c === '\n' || c === '\r';
+
+const escapeXml = text => Array.from(String(text)).filter(isXmlChar).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const attributes = attrs => Object.keys(attrs)
+    .map(name => ` ${name}="${escapeXml(attrs[name])}"`)
+    .join('');
+
+/**
+ * Describes a finding as a failed test case.
+ *
+ * @param {string} suiteName - name of the analyzed contract
+ * @param {string} filePath - solidity file path
+ * @param {object} message - ESLint-style message
+ * @returns {string[]} - XML lines
+ */
+const renderFinding = (suiteName, filePath, message) => {
+    const ruleId = message.ruleId || 'MythX';
+    const file = path.basename(filePath);
+    const location = message.line > 0 ? `${file}:${message.line}` : file;
+    const title = message.swcTitle && message.swcTitle !== ruleId ? ` ${message.swcTitle}` : '';
+    // Inherited code is in a base contract, which is worth naming.
+    const contract = message.contractName && message.contractName !== suiteName ? message.contractName : '';
+    const scope = [contract, message.functionSignature].filter(Boolean).join('.');
+    const name = `${ruleId}${title} at ${location}${scope ? ` in ${scope}` : ''}`;
+    const details = [
+        message.message,
+        `Severity: ${message.mythXseverity || (message.severity === 2 ? 'error' : 'warning')}`,
+        `Location: ${filePath}${message.line > 0 ? `:${message.line}:${message.column}` : ''}`,
+    ];
+    if (message.fingerprint) {
+        details.push(`Id: ${message.fingerprint.slice(0, 8)}`);
+    }
+    const head = message.description ? message.description.head : message.message;
+    return [
+        `    <testcase${attributes({ classname: suiteName, name, file: filePath })}>`,
+        `      <failure${attributes({ message: head, type: ruleId })}>${escapeXml(details.join('\n'))}</failure>`,
+        '    </testcase>',
+    ];
+};
+
+/**
+ * Formats ESLint-style results produced by MythXIssues as a JUnit XML
+ * report.
+ *
+ * @param {object[]} results - ESLint-style results grouped by file
+ * @param {object} data
+ * @param {MythXIssues[]} data.objects - analyzed contracts
+ * @param {Error[]} data.errors - errors of analyses that failed, with the contractName they were about
+ * @returns {string}
+ */
+module.exports = function(results, { objects = [], errors = [] } = {}) {
+    // Suites by contract name, in the order contracts were analyzed.
+    const suites = new Map();
+    const getSuite = name => {
+        if (!suites.has(name)) {
+            suites.set(name, { testcases: [], tests: 0, failures: 0, errors: 0 });
+        }
+        return suites.get(name);
+    };
+    objects.forEach(obj => getSuite(obj.buildObj.contractName));
+
+    results.forEach(result => {
+        result.messages.forEach(message => {
+            const name = getReportedContract(message, result.filePath);
+            const suite = getSuite(name);
+            suite.testcases.push(...renderFinding(name, result.filePath, message));
+            suite.tests++;
+            suite.failures++;
+        });
+    });
+
+    errors.forEach(err => {
+        const name = err.contractName || 'MythX';
+        const suite = getSuite(name);
+        suite.testcases.push(
+            `    <testcase${attributes({ classname: name, name: 'MythX analysis' })}>`,
+            `      <error${attributes({ message: err.message || String(err), type: err.name || 'Error' })}>` +
+                `${escapeXml(err.stack || err.message || String(err))}</error>`,
+            '    </testcase>');
+        suite.tests++;
+        suite.errors++;
+    });
+
+    const lines = [];
+    suites.forEach((suite, name) => {
+        if (suite.tests === 0) {
+            // A passing test case, so that clean contracts show up on dashboards.
+            suite.testcases.push(`    <testcase${attributes({ classname: name, name: 'MythX analysis' })}/>`);
+            suite.tests++;
+        }
+        lines.push(`  <testsuite${attributes({ name, tests: suite.tests, failures: suite.failures, errors: suite.errors })}>`,
+            ...suite.testcases,
+            '  </testsuite>');
+    });
+
+    const total = key => Array.from(suites.values()).reduce((acc, suite) => acc + suite[key], 0);
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<testsuites${attributes({ name: 'MythX', tests: total('tests'), failures: total('failures'), errors: total('errors') })}>`,
+        ...lines,
+        '</testsuites>',
+        '',
+    ].join('\n');
+};
@@ -0,0 +1,142 @@
+// Markdown report meant to be posted as a pull request comment by CI:
+// a severity summary, then a collapsible section per contract with its
+// findings linked to their source lines.
+//
+// Links are made from the repoUrl option, a URL template such as
+//
+//   https://github.com/acme/token/blob/main/{path}#L{line}-L{endLine}
+//
+// where {path} is the path of a file relative to the project directory
+// and {line} and {endLine} the lines of a finding. The commit is up to CI,
+// e.g. --repo-url "https://github.com/acme/token/blob/$GITHUB_SHA/{path}#L{line}".
+'use strict';
+
+const path = require('path');
+const { SWC_REGISTRY_URL, severities, getSeverity, getReportedContract } = require('./common');
+
+/**
+ * Makes text safe for a markdown table cell. GitHub renders HTML in
+ * comments, so angle brackets are escaped too.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeCell = text => String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\|/g, '\\|')
+    .trim();
+
+/**
+ * Builds the link to the source lines of a message from the repoUrl
+ * template.
+ *
+ * @param {string} template - URL template with {path}, {line} and {endLine} placeholders
+ * @param {string} projectDir - directory paths are made relative to
+ * @param {string} filePath - solidity file path
+ * @param {object} message - ESLint-style message
+ * @returns {string|null} - the URL, or null when there is no template or
+ *                          the file is outside the project
+ */
+const getSourceUrl = (template, projectDir, filePath, message) => {
+    const relative = path.relative(projectDir, filePath);
+    if (!template || relative.startsWith('..') || path.isAbsolute(relative)) {
+        return null;
+    }
+    const line = message.line > 0 ? message.line : 1;
+    return template
+        .replace(/\{path\}/g, relative.split(path.sep).join('/'))
+        .replace(/\{line\}/g, line)
+        .replace(/\{endLine\}/g, message.endLine >= line ? message.endLine : line);
+};
+
+/**
+ * Counts findings by severity.
+ *
+ * @param {object[]} findings - { severity } objects
+ * @returns {object} - counts by severity
+ */
+const countSeverities = findings => {
+    const counts = { High: 0, Medium: 0, Low: 0 };
+    findings.forEach(({ severity }) => counts[severity]++);
+    return counts;
+};
+
+const describeCounts = counts => severities
+    .filter(severity => counts[severity] > 0)
+    .map(severity => `${counts[severity]} ${severity}`)
+    .join(', ');
+
+/**
+ * Formats ESLint-style results produced by MythXIssues as markdown for a
+ * pull request comment.
+ *
+ * @param {object[]} results - ESLint-style results grouped by file
+ * @param {object} data
+ * @param {object} data.config - truffle configuration, for repoUrl and baseline
+ * @param {Error[]} data.errors - errors of analyses that failed
+ * @returns {string}
+ */
+module.exports = function(results, { config = {}, errors = [] } = {}) {
+    const projectDir = config.working_directory || process.cwd();
+    const findings = [];
+    results.forEach(result => {
+        result.messages.forEach(message => {
+            findings.push({
+                contract: getReportedContract(message, result.filePath),
+                file: path.basename(result.filePath),
+                severity: getSeverity(message),
+                url: getSourceUrl(config.repoUrl, projectDir, result.filePath, message),
+                message,
+            });
+        });
+    });
+
+    const baselineNote = config.baseline ? ' Findings recorded in the baseline are left out.' : '';
+    const lines = ['## MythX security analysis', ''];
+    if (findings.length === 0) {
+        lines.push(`No ${config.baseline ? 'new ' : ''}findings.${baselineNote}`);
+    } else {
+        const counts = countSeverities(findings);
+        const contracts = Array.from(new Set(findings.map(finding => finding.contract)));
+        lines.push(`**${findings.length} ${config.baseline ? 'new ' : ''}finding${findings.length > 1 ? 's' : ''}** ` +
+            `in ${contracts.length} contract${contracts.length > 1 ? 's' : ''}.${baselineNote}`);
+        lines.push('', '| Severity | Findings |', '| --- | ---: |');
+        severities.forEach(severity => lines.push(`| ${severity} | ${counts[severity]} |`));
+
+        contracts.forEach(contract => {
+            const own = findings
+                .filter(finding => finding.contract === contract)
+                .sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity) ||
+                    a.message.line - b.message.line);
+            lines.push('', `<details><summary><b>${escapeCell(contract)}</b>: ` +
+                `${describeCounts(countSeverities(own))}</summary>`, '');
+            lines.push('| Severity | Issue | Location | Description |', '| --- | --- | --- | --- |');
+            own.forEach(({ contract, file, severity, url, message }) => {
+                const ruleId = message.ruleId || 'MythX';
+                const rule = /^SWC-\d+$/.test(ruleId) ? `[${ruleId}](${SWC_REGISTRY_URL}${ruleId})` : escapeCell(ruleId);
+                const title = message.swcTitle && message.swcTitle !== ruleId ? ` ${escapeCell(message.swcTitle)}` : '';
+                const place = message.line > 0 ? `${file}:${message.line}` : file;
+                let location = url ? `[${escapeCell(place)}](${url})` : escapeCell(place);
+                // Inherited code is in a base contract, which is worth naming.
+                const base = message.contractName && message.contractName !== contract ? message.contractName : '';
+                const scope = [base, message.functionSignature].filter(Boolean).join('.');
+                if (scope) {
+                    location += ` \`${scope}\``;
+                }
+                const head = message.description ? message.description.head : message.message;
+                lines.push(`| ${severity} | ${rule}${title} | ${location} | ${escapeCell(head)} |`);
+            });
+            lines.push('', '</details>');
+        });
+    }
+
+    if (errors.length > 0) {
+        lines.push('', `**${errors.length} analysis request${errors.length > 1 ? 's' : ''} failed:**`, '');
+        errors.forEach(err => lines.push(`- ${err.contractName ? `${escapeCell(err.contractName)}: ` : ''}` +
+            escapeCell(err.message || err)));
+    }
+    return lines.join('\n') + '\n';
+};
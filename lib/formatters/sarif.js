@@ -0,0 +1,187 @@
+// SARIF 2.1.0 report formatter.
+// See https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+'use strict';
+
+const path = require('path');
+const pjson = require('../../package.json');
+const { SWC_REGISTRY_URL } = require('./common');
+
+const SARIF_SCHEMA = 'https://raw.githubusercontent.com/oasis-tcs/sarif-spec/master/Schemata/sarif-schema-2.1.0.json';
+
+const mythXSeverity2Level = {
+    High: 'error',
+    Medium: 'warning',
+    Low: 'note',
+};
+
+const eslintSeverity2Level = {
+    2: 'error',
+    1: 'warning',
+};
+
+/**
+ * Maps a MythX severity, or failing that an ESLint severity, to a SARIF result level.
+ *
+ * @param {object} message - ESLint-style message
+ * @returns {string} - SARIF level: error, warning or note
+ */
+const getLevel = message => mythXSeverity2Level[message.mythXseverity] ||
+    eslintSeverity2Level[message.severity] || 'note';
+
+/**
+ * Turns a file path into a SARIF artifact location. Paths inside the
+ * current working directory are made relative to the source root so
+ * that code-scanning dashboards can match them against the repository.
+ *
+ * @param {string} filePath - solidity file path
+ * @returns {object} - SARIF artifactLocation
+ */
+const getArtifactLocation = filePath => {
+    const relative = path.relative(process.cwd(), filePath);
+    if (path.isAbsolute(filePath) && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return {
+            uri: relative.split(path.sep).join('/'),
+            uriBaseId: '%SRCROOT%',
+        };
+    }
+    return { uri: filePath.split(path.sep).join('/') };
+};
+
+/**
+ * Builds a SARIF region from ESLint-style line/column fields.
+ * ESLint columns coming from MythXIssues are 0-based while SARIF
+ * columns are 1-based.
+ *
+ * @param {object} message - ESLint-style message
+ * @returns {object|undefined} - SARIF region or undefined when the location is unknown
+ */
+const getRegion = message => {
+    if (!(message.line > 0)) {
+        return undefined;
+    }
+    const region = {
+        startLine: message.line,
+        startColumn: message.column + 1,
+    };
+    if (message.endLine > 0) {
+        region.endLine = message.endLine;
+        region.endColumn = message.endCol + 1;
+    }
+    return region;
+};
+
+/**
+ * Builds a SARIF physical location from an ESLint-style message or
+ * related location.
+ *
+ * @param {string} filePath - solidity file path
+ * @param {object} location - with ESLint-style line/column fields
+ * @returns {object} - SARIF physicalLocation
+ */
+const getPhysicalLocation = (filePath, location) => {
+    const physicalLocation = { artifactLocation: getArtifactLocation(filePath) };
+    const region = getRegion(location);
+    if (region) {
+        physicalLocation.region = region;
+    }
+    return physicalLocation;
+};
+
+/**
+ * Builds SARIF logical locations naming the contract and function a
+ * message is in, e.g. "SimpleDAO.withdraw(uint256)".
+ *
+ * @param {object} message - ESLint-style message
+ * @returns {object[]|undefined} - SARIF logicalLocations or undefined when unknown
+ */
+const getLogicalLocations = ({ contractName, functionSignature }) => {
+    if (!contractName) {
+        return undefined;
+    }
+    if (!functionSignature) {
+        return [{ name: contractName, fullyQualifiedName: contractName, kind: 'type' }];
+    }
+    return [{
+        name: functionSignature,
+        fullyQualifiedName: `${contractName}.${functionSignature}`,
+        kind: 'function',
+    }];
+};
+
+/**
+ * Formats ESLint-style results produced by MythXIssues as a SARIF log.
+ *
+ * @param {object[]} results - ESLint-style results grouped by file
+ * @returns {string} - SARIF JSON document
+ */
+module.exports = function(results) {
+    const rules = [];
+    const ruleIndices = {};
+    const sarifResults = [];
+
+    results.forEach(result => {
+        result.messages.forEach(message => {
+            const ruleId = message.ruleId || 'MythX';
+            if (!(ruleId in ruleIndices)) {
+                ruleIndices[ruleId] = rules.length;
+                const rule = {
+                    id: ruleId,
+                    shortDescription: {
+                        text: message.swcTitle || ruleId,
+                    },
+                };
+                if (/^SWC-\d+$/.test(ruleId)) {
+                    rule.helpUri = `${SWC_REGISTRY_URL}${ruleId}`;
+                }
+                rules.push(rule);
+            }
+
+            const sarifResult = {
+                ruleId,
+                ruleIndex: ruleIndices[ruleId],
+                level: getLevel(message),
+                message: {
+                    text: message.message,
+                },
+                locations: [{ physicalLocation: getPhysicalLocation(result.filePath, message) }],
+            };
+            const logicalLocations = getLogicalLocations(message);
+            if (logicalLocations) {
+                sarifResult.locations[0].logicalLocations = logicalLocations;
+            }
+            if (message.relatedLocations && message.relatedLocations.length > 0) {
+                sarifResult.relatedLocations = message.relatedLocations.map((location, i) => ({
+                    id: i + 1,
+                    physicalLocation: getPhysicalLocation(location.filePath, location),
+                    message: {
+                        text: `Related location ${i + 1} of ${ruleId}.`,
+                    },
+                }));
+            }
+            if (message.mythXseverity) {
+                sarifResult.properties = {
+                    mythXseverity: message.mythXseverity,
+                };
+            }
+            sarifResults.push(sarifResult);
+        });
+    });
+
+    const log = {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: pjson.name,
+                    version: pjson.version,
+                    informationUri: pjson.homepage,
+                    rules,
+                },
+            },
+            results: sarifResults,
+        }],
+    };
+
+    return JSON.stringify(log, null, 2);
+};
@@ -0,0 +1,91 @@
+// ESLint's stylish formatter, with the contract and function of each issue
+// and its related locations added to its message, e.g. the state update
+// following a reentrant call. Under each message come the source
+// snippet of --context and the transaction sequences of --show-trace,
+// along with the command that turns them into a test.
+'use strict';
+
+const path = require('path');
+const eslintStylish = require('eslint/lib/formatters/stylish');
+const trace = require('../trace');
+
+/**
+ * Prefixes the text of an ESLint-style message with the contract and
+ * function it is in, and appends its related locations. Line breaks
+ * are made spaces, so that each message takes one row.
+ *
+ * @param {object} message - ESLint-style message
+ * @returns {object} - a copy of message
+ */
+const addLocations = message => {
+    let text = String(message.message || '').replace(/\s+/g, ' ').trim();
+    if (message.contractName) {
+        const scope = message.functionSignature ?
+            `${message.contractName}.${message.functionSignature}` : message.contractName;
+        text = `${scope}: ${text}`;
+    }
+    const related = (message.relatedLocations || [])
+        .filter(location => location.line > 0)
+        .map(location => `${path.basename(location.filePath)}:${location.line}:${location.column}`);
+    if (related.length > 0) {
+        text = `${text} Related: ${related.join(', ')}`;
+    }
+    return text === message.message ? message : Object.assign({}, message, { message: text });
+};
+
+/**
+ * Gives the lines to show under a message: its source snippet and its
+ * transaction sequences.
+ *
+ * @param {object} message - ESLint-style message
+ * @returns {string[]}
+ */
+const getDetails = message => {
+    const traceLines = trace.formatTestCases(message.testCases || []);
+    if (traceLines.length > 0 && message.fingerprint) {
+        traceLines.push(`Reproduce with: truffle run analyze repro ${message.fingerprint.slice(0, 8)}`);
+    }
+    return (message.snippet || []).concat(traceLines);
+};
+
+/**
+ * Inserts the details of messages under their rows.
+ * ESLint's stylish output starts with an empty line, then has for each
+ * file with messages a file name line, one line per message (see
+ * addLocations) and an empty line.
+ *
+ * @param {string} output - ESLint stylish output of results
+ * @param {object[]} results - ESLint-style results grouped by file
+ * @returns {string}
+ */
+const addDetails = (output, results) => {
+    const lines = output.split('\n');
+    const result = lines.slice(0, 1);
+    let i = 1;
+    results
+        .filter(({ messages }) => messages.length > 0)
+        .forEach(({ messages }) => {
+            result.push(lines[i++]);
+            messages.forEach(message => {
+                result.push(lines[i++]);
+                getDetails(message).forEach(line => result.push(`    ${line}`));
+            });
+        });
+    return result.concat(lines.slice(i)).join('\n');
+};
+
+/**
+ * Formats ESLint-style results produced by MythXIssues like ESLint's
+ * stylish formatter does.
+ *
+ * @param {object[]} results - ESLint-style results grouped by file
+ * @returns {string}
+ */
+module.exports = function(results) {
+    const output = eslintStylish(results.map(result => Object.assign({}, result, {
+        messages: result.messages.map(addLocations),
+    })));
+    const hasDetails = results.some(({ messages }) => messages.some(message =>
+        (message.testCases && message.testCases.length > 0) || (message.snippet && message.snippet.length > 0)));
+    return hasDetails ? addDetails(output, results) : output;
+};
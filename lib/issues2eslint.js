@@ -6,6 +6,10 @@ const SourceMappingDecoder = require(
     'remix-lib/src/sourceMappingDecoder');
 const srcmap = require('./srcmap');
 const mythx = require('./mythx');
+const suppress = require('./suppress');
+const baseline = require('./baseline');
+const trace = require('./trace');
+const snippet = require('./snippet');
 
 /*
   Mythril seems to downplay severity. What eslint calls an "error",
@@ -24,10 +28,15 @@ class MythXIssues {
     /**
      *
      * @param {object} buildObj - Truffle smart contract build object
+     * @param {object[]} artifacts - Truffle build objects of the whole project, used
+     *                               to find the sources of imported files (*Optional*)
      */
-    constructor(buildObj) {
+    constructor(buildObj, artifacts = []) {
         this.issues = [];
-        this.buildObj = mythx.truffle2MythXJSON(buildObj);
+        this.reports = [];
+        this.sourcePath = buildObj.sourcePath;
+        this.abi = buildObj.abi || [];
+        this.buildObj = mythx.truffle2MythXJSON(buildObj, undefined, artifacts);
         this.sourceMap = this.buildObj.sourceMap;
         this.deployedSourceMap = this.buildObj.deployedSourceMap;
         this.offset2InstNum = srcmap.makeOffset2InstNum(this.buildObj.deployedBytecode);
@@ -35,6 +44,7 @@ class MythXIssues {
         this.sourceMappingDecoder = new SourceMappingDecoder();
         this.asts = this.mapAsts(this.buildObj.sources);
         this.lineBreakPositions = this.mapLineBreakPositions(this.sourceMappingDecoder, this.buildObj.sources);
+        this.suppressions = this.mapSuppressions(this.buildObj.sources);
     }
 
     /**
@@ -43,11 +53,59 @@ class MythXIssues {
      * @param {object[]} issues - MythX analyze API output result issues
      */
     setIssues(issues) {
+        this.reports = issues;
         this.issues = issues
             .map(mythx.remapMythXOutput)
+            .reduce((acc, curr) => acc.concat(curr), [])
+            .map(report => report.sourceFormat === 'evm-byzantium-bytecode' ?
+                this.groupBytecodeIssuesBySource(report) : [report])
             .reduce((acc, curr) => acc.concat(curr), []);
     }
 
+    /**
+     * Issues of bytecode reports are located by bytecode offsets. Here we
+     * follow the deployed source map to find out which solidity file each
+     * of them belongs to, and regroup the report's issues by that file.
+     * Issues in compiler-generated code stay with the contract's own source.
+     *
+     * @param {object} report - a remapped MythX report with sourceFormat evm-byzantium-bytecode
+     * @returns {object[]} - reports with the same sourceType and sourceFormat, one per file
+     */
+    groupBytecodeIssuesBySource(report) {
+        const groups = {};
+        report.issues.forEach(issue => {
+            const source = this.bytecodeLocation2Source(issue.sourceMap);
+            if (!groups[source]) {
+                groups[source] = {
+                    source,
+                    sourceType: report.sourceType,
+                    sourceFormat: report.sourceFormat,
+                    issues: [],
+                };
+            }
+            groups[source].issues.push(issue);
+        });
+        return Object.values(groups);
+    }
+
+    /**
+     * Finds the solidity file of a bytecode location by following the
+     * deployed source map. Compiler-generated code belongs to the
+     * contract's own source.
+     *
+     * @param {string} sourceMap - bytecode location, e.g. "444:1:0"
+     * @returns {string} - solidity file path
+     */
+    bytecodeLocation2Source(sourceMap) {
+        const offset = parseInt(sourceMap.split(':')[0], 10);
+        const instNum = this.offset2InstNum[offset];
+        if (instNum !== undefined) {
+            const { file } = this.sourceMappingDecoder.atIndex(instNum, this.deployedSourceMap);
+            return this.buildObj.sourceList[file] || this.sourcePath;
+        }
+        return this.sourcePath;
+    }
+
     /**
      * Maps linebreak positions of a source to its solidity file from the array of sources
      *
@@ -80,6 +138,32 @@ class MythXIssues {
         return result;
     }
 
+    /**
+     * Maps inline suppression comments to its solidity file from the array of sources
+     *
+     * @param {object[]} sources - Collection of MythX API output sources property.
+     * @returns {object} - suppressions grouped by solidity file paths
+     */
+    mapSuppressions(sources) {
+        const result = {};
+        Object.entries(sources).forEach(([ sourcePath, { source } ]) => {
+            result[sourcePath] = suppress.parseSuppressions(source);
+        });
+
+        return result;
+    }
+
+    /**
+     * Is an ESLint-style issue silenced by a mythx-disable comment in its source?
+     *
+     * @param {object} esIssue - issue as returned by issue2EsLint
+     * @param {string} sourceName - solidity file name the issue belongs to
+     * @returns {boolean}
+     */
+    isSuppressed(esIssue, sourceName) {
+        return suppress.isSuppressed(this.suppressions[sourceName], esIssue.ruleId, esIssue.line);
+    }
+
     // Is this an issue that should be ignored?
     isIgnorable(sourceMapLocation, options, source) {
         const ast = this.asts[source];
@@ -110,26 +194,13 @@ class MythXIssues {
         const instNum = this.offset2InstNum[bytecodeOffset];
         const sourceLocation = this.sourceMappingDecoder.atIndex(instNum, this.deployedSourceMap);
         assert(sourceLocation, 'sourceMappingDecoder.atIndex() should not return null');
-        const loc = this.sourceMappingDecoder
-            .convertOffsetToLineColumn(sourceLocation, lineBreakPositions);
-
-        // FIXME: note we are lossy in that we don't return the end location
-        if (loc.start) {
-            // Adjust because routines starts lines at 0 rather than 1.
-            loc.start.line++;
-        }
-        if (loc.end) {
-            loc.end.line++;
-        }
+        const [ start, end ] = this.sourceLocation2lineColumn(sourceLocation, lineBreakPositions);
 
         // FIXME: Note from discussion with Rocky we agreed
         // that byteOffset2LineColumn should always return
         // data even when line/column can't be found.
         // Default is { start: {line: -1, column: 0}, end: {}}
-        const start = loc.start || { line: -1, column: 0 };
-        const end = loc.end || {};
-
-        return [start, end];
+        return [start || { line: -1, column: 0 }, end || {}];
     }
 
 
@@ -148,9 +219,20 @@ class MythXIssues {
             length: parseInt(ary[1], 10),
             start: parseInt(ary[0], 10),
         };
+        return this.sourceLocation2lineColumn(sourceLocation, lineBreakPositions);
+    }
+
+    /**
+      * Turn a character range into start and end line and column locations.
+      * Lines start at 1 and columns at 0.
+      *
+      * @param {object} sourceLocation - { start, length } character range
+      * @param {number[]} lineBreakPositions - of the source the range is in
+      * @returns {Array} - [start, end], both null when the range is unknown
+    */
+    sourceLocation2lineColumn(sourceLocation, lineBreakPositions) {
         const loc = this.sourceMappingDecoder
             .convertOffsetToLineColumn(sourceLocation, lineBreakPositions);
-            // FIXME: note we are lossy in that we don't return the end location
         if (loc.start) {
             // Adjust because routines starts lines at 0 rather than 1.
             loc.start.line++;
@@ -161,6 +243,127 @@ class MythXIssues {
         return [loc.start, loc.end];
     }
 
+    /**
+      * Find the source ranges of the instructions in a bytecode range.
+      *
+      * @param {integer} offset - bytecode offset of the first instruction
+      * @param {integer} length - number of bytes; the instruction at offset is used when 0
+      * @returns {object[]} - solc source locations: { start, length, file }
+    */
+    bytecodeRange2SourceLocations(offset, length) {
+        const locations = [];
+        for (let i = offset; i < offset + Math.max(length, 1); i++) {
+            const instNum = this.offset2InstNum[i];
+            if (instNum !== undefined) {
+                locations.push(this.sourceMappingDecoder.atIndex(instNum, this.deployedSourceMap));
+            }
+        }
+        return locations;
+    }
+
+    /**
+      * Find the character range in the Solidity source that an issue refers to.
+      * A bytecode range covering several instructions, or a source map with
+      * several entries, gives the smallest range spanning all of them that
+      * lie in the same file as the first one.
+      *
+      * @param {MythXIssue} issue - the MythX issue
+      * @param {string} sourceFormat - the kind of location we have, e.g. evm-bytecode or source text
+      * @returns {start: number, length: number} or null when there is no such range
+    */
+    issue2SourceLocation(issue, sourceFormat) {
+        const entries = issue.sourceMap.split(';')
+            .filter(entry => entry.length > 0)
+            .map(entry => entry.split(':').map(n => parseInt(n, 10)));
+        let locations = [];
+        if (sourceFormat === 'evm-byzantium-bytecode') {
+            locations = entries
+                .map(([ offset, length ]) => this.bytecodeRange2SourceLocations(offset, length || 0))
+                .reduce((acc, curr) => acc.concat(curr), []);
+        } else if (sourceFormat === 'text') {
+            locations = entries.map(([ start, length, file ]) => ({ start, length, file }));
+        }
+
+        const valid = locations.filter(loc => loc && loc.start >= 0 && loc.length >= 0);
+        if (valid.length === 0) {
+            return null;
+        }
+        const file = valid[0].file;
+        const sameFile = valid.filter(loc => loc.file === file || isNaN(loc.file) || isNaN(file));
+        const start = Math.min(...sameFile.map(loc => loc.start));
+        const end = Math.max(...sameFile.map(loc => loc.start + loc.length));
+        return { start, length: end - start };
+    }
+
+    /**
+      * Find the contract and the function or modifier a source location is in.
+      *
+      * @param {object} sourceLocation - { start, length } as given by issue2SourceLocation
+      * @param {string} sourceName - solidity file name the location is in
+      * @returns {object} - { contract, function } AST nodes, null where there are none
+    */
+    findEnclosingNodes(sourceLocation, sourceName) {
+        const ast = this.asts[sourceName];
+        if (!ast || !sourceLocation) {
+            return { contract: null, function: null };
+        }
+        return {
+            contract: srcmap.findEnclosingContract(sourceLocation, ast),
+            function: srcmap.findEnclosingFunction(sourceLocation, ast),
+        };
+    }
+
+    /**
+      * Name the contract and function an issue is in, e.g. "SimpleDAO" and
+      * "withdraw(uint256)". Line numbers change with every edit of a file;
+      * these make findings easier to recognize in review.
+      *
+      * @param {MythXIssue} issue - the MythX issue
+      * @param {string} sourceFormat - the kind of location we have, e.g. evm-bytecode or source text
+      * @param {string} sourceName - solidity file name the issue belongs to
+      * @returns {object} - { contractName, functionSignature }, with only those that are known
+    */
+    issue2Scope(issue, sourceFormat, sourceName) {
+        const scope = {};
+        const nodes = this.findEnclosingNodes(this.issue2SourceLocation(issue, sourceFormat), sourceName);
+        if (nodes.contract) {
+            scope.contractName = nodes.contract.name;
+        }
+        if (nodes.function) {
+            scope.functionSignature = srcmap.functionSignature(nodes.function);
+        }
+        return scope;
+    }
+
+    /**
+      * Compute the baseline fingerprint of a MythX issue from the contract name,
+      * the SWC id, the enclosing function and the source code at the issue location.
+      *
+      * @param {MythXIssue} issue - the MythX issue
+      * @param {string} sourceFormat - the kind of location we have, e.g. evm-bytecode or source text
+      * @param {string} sourceName - solidity file name the issue belongs to
+      * @returns {string} fingerprint
+    */
+    getIssueFingerprint(issue, sourceFormat, sourceName) {
+        let functionName = '';
+        let snippet = '';
+        const sourceLocation = this.issue2SourceLocation(issue, sourceFormat);
+        const sourceObj = this.buildObj.sources[sourceName];
+        if (sourceLocation && sourceObj) {
+            snippet = (sourceObj.source || '').substr(sourceLocation.start, sourceLocation.length);
+            const node = this.findEnclosingNodes(sourceLocation, sourceName).function;
+            if (node) {
+                functionName = node.name || node.kind || (node.isConstructor ? 'constructor' : 'fallback');
+            }
+        }
+        return baseline.getFingerprint({
+            contractName: this.buildObj.contractName,
+            swcID: issue.swcID,
+            functionName,
+            snippet,
+        });
+    }
+
     /**
       * Convert a MythX issue into an ESLint-style issue.
       * The eslint report format which we use, has these fields:
@@ -174,7 +377,9 @@ class MythXIssues {
       * - ruleId,
       * - severity
       *
-      * but a MythX JSON report has these fields:
+      * plus the MythX description, the contractName and functionSignature
+      * of the code the issue is in, when known, and the analyzedContractName
+      * of the contract whose analysis found it, but a MythX JSON report has these fields:
       *
       * - description.head
       * - description.tail,
@@ -188,50 +393,105 @@ class MythXIssues {
       * @param {string} sourceFormat - the kind of location we have, e.g. evm-bytecode or source text
       * @param {Array<string>} sourceList - a list container objects (e.g. bytecode, source code) that
       *                                     holds the locations that are referred to
+      * @param {boolean} showTrace - true to add the decoded transaction sequences of the issue
+      * @param {integer} contextLines - lines of source to show around the issue, 0 for none
       * @returns eslint-issue object
     */
-    issue2EsLint(issue, spaceLimited, sourceFormat, sourceName) {
+    issue2EsLint(issue, spaceLimited, sourceFormat, sourceName, showTrace = false, contextLines = 0) {
         const esIssue = {
             fatal: false,
             ruleId: issue.swcID,
-            message: spaceLimited ? issue.description.head : `${issue.description.head} ${issue.description.tail}`,
+            swcTitle: issue.swcTitle,
+            message: spaceLimited ? issue.description.head :
+                [issue.description.head, issue.description.tail].filter(Boolean).join(' '),
+            description: {
+                head: issue.description.head || '',
+                tail: issue.description.tail || '',
+            },
             severity: mythx2Severity[issue.severity] || 1,
             mythXseverity: issue.severity,
+            fingerprint: this.getIssueFingerprint(issue, sourceFormat, sourceName),
+            analyzedContractName: this.buildObj.contractName,
+        };
+
+        if (!sourceName) {
+            esIssue.message = `${esIssue.message} (Location unknown: the issue is in a file we have no build object for.)`;
+        }
+        Object.assign(esIssue, this.issue2LineColumn(issue, sourceFormat, sourceName),
+            this.issue2Scope(issue, sourceFormat, sourceName));
+        esIssue.relatedLocations = (issue.relatedLocations || [])
+            .map(location => this.relatedLocation2EsLint(location, sourceFormat));
+        if (showTrace) {
+            esIssue.testCases = trace.decodeTestCases(issue.extra, this.abi);
+        }
+        const sourceObj = this.buildObj.sources[sourceName];
+        if (contextLines > 0 && sourceObj) {
+            if (spaceLimited) {
+                // No room for a snippet; the offending line will have to do.
+                const line = snippet.getSourceLine(sourceObj.source, esIssue);
+                if (line) {
+                    esIssue.message = `${esIssue.message} Source: \`${line}\``;
+                }
+            } else {
+                esIssue.snippet = snippet.formatSnippet(sourceObj.source, esIssue, contextLines);
+            }
+        }
+
+        return esIssue;
+    }
+
+    /**
+      * Find the ESLint-style line and column range of an issue.
+      *
+      * @param {object} issue - anything with a sourceMap field, e.g. a MythX issue or related location
+      * @param {string} sourceFormat - the kind of location we have, e.g. evm-bytecode or source text
+      * @param {string} sourceName - solidity file name the location is in
+      * @returns {object} - { line, column, endLine, endCol }; line and endLine are -1 when unknown
+    */
+    issue2LineColumn(issue, sourceFormat, sourceName) {
+        const result = {
             line: -1,
             column: 0,
             endLine: -1,
             endCol: 0,
         };
-
-        let startLineCol,  endLineCol;
+        const sourceLocation = this.issue2SourceLocation(issue, sourceFormat);
         const lineBreakPositions = this.lineBreakPositions[sourceName];
-
-        if (sourceFormat === 'evm-byzantium-bytecode') {
-            // Pick out first byteCode offset value
-            const offset = parseInt(issue.sourceMap.split(':')[0], 10);
-            [startLineCol, endLineCol] = this.byteOffset2lineColumn(offset, lineBreakPositions);
-        } else if (sourceFormat === 'text') {
-            // Pick out first srcEntry value
-            const srcEntry = issue.sourceMap.split(';')[0];
-            [startLineCol, endLineCol] = this.textSrcEntry2lineColumn(srcEntry, lineBreakPositions);
-        }
+        const [startLineCol, endLineCol] = sourceLocation && lineBreakPositions ?
+            this.sourceLocation2lineColumn(sourceLocation, lineBreakPositions) : [];
         if (startLineCol) {
-            esIssue.line = startLineCol.line;
-            esIssue.column = startLineCol.column;
-            esIssue.endLine = endLineCol.line;
-            esIssue.endCol = endLineCol.column;
+            result.line = startLineCol.line;
+            result.column = startLineCol.column;
+            result.endLine = endLineCol.line;
+            result.endCol = endLineCol.column;
         }
+        return result;
+    }
 
-        return esIssue;
+    /**
+      * Convert a related location of a MythX issue, e.g. the state update
+      * following a reentrant call, into an ESLint-style location.
+      *
+      * @param {object} location - { sourceMap, source } as given by remapMythXOutput
+      * @param {string} sourceFormat - the kind of location we have, e.g. evm-bytecode or source text
+      * @returns {object} - { filePath, line, column, endLine, endCol }
+    */
+    relatedLocation2EsLint(location, sourceFormat) {
+        const filePath = sourceFormat === 'evm-byzantium-bytecode' ?
+            this.bytecodeLocation2Source(location.sourceMap) : location.source;
+        return Object.assign({ filePath },
+            this.issue2LineColumn(location, sourceFormat, path.basename(filePath)));
     }
 
     /**
      * Converts MythX analyze API output item to Eslint compatible object
      * @param {object} report - issue item from the collection MythX analyze API output
      * @param {boolean} spaceLimited
+     * @param {boolean} showTrace - true to add decoded transaction sequences
+     * @param {integer} contextLines - lines of source to show around issues, 0 for none
      * @returns {object}
      */
-    convertMythXReport2EsIssue(report, spaceLimited) {
+    convertMythXReport2EsIssue(report, spaceLimited, showTrace = false, contextLines = 0) {
         const { issues, sourceFormat, source } = report;
         const result = {
             errorCount: 0,
@@ -242,7 +502,9 @@ class MythXIssues {
         };
         const sourceName = path.basename(source);
 
-        result.messages = issues.map(issue => this.issue2EsLint(issue, spaceLimited, sourceFormat, sourceName));
+        result.messages = issues
+            .map(issue => this.issue2EsLint(issue, spaceLimited, sourceFormat, sourceName, showTrace, contextLines))
+            .filter(esIssue => !this.isSuppressed(esIssue, sourceName));
 
         result.warningCount = result.messages.reduce((acc,  { fatal, severity }) =>
             !isFatal(fatal , severity) ? acc + 1: acc, 0);
@@ -256,10 +518,57 @@ class MythXIssues {
      * Transforms array of MythX Issues into Eslint issues
      *
      * @param {boolean} spaceLimited
+     * @param {boolean} showTrace - true to add decoded transaction sequences
+     * @param {integer} contextLines - lines of source to show around issues, 0 for none
      * @returns {object[]}
      */
-    getEslintIssues(spaceLimited = false) {
-        return this.issues.map(report => this.convertMythXReport2EsIssue(report, spaceLimited));
+    getEslintIssues(spaceLimited = false, showTrace = false, contextLines = 0) {
+        return this.issues.map(report =>
+            this.convertMythXReport2EsIssue(report, spaceLimited, showTrace, contextLines));
+    }
+
+    /**
+     * Gives the MythX reports as received, along with each of their issues
+     * with everything MythX said about it and the source locations it was
+     * resolved to. Suppressed issues are included and marked as such.
+     *
+     * @returns {object} - { contractName, sourcePath, reports, issues }
+     */
+    getMythXData() {
+        const issues = [];
+        this.issues.forEach(({ issues: reportIssues, source, sourceType, sourceFormat }) => {
+            const sourceName = path.basename(source);
+            reportIssues.forEach(issue => {
+                const esIssue = this.issue2EsLint(issue, false, sourceFormat, sourceName);
+                issues.push({
+                    swcID: issue.swcID,
+                    swcTitle: issue.swcTitle,
+                    severity: issue.severity,
+                    description: issue.description,
+                    file: source,
+                    sourceType,
+                    sourceFormat,
+                    sourceMap: issue.sourceMap,
+                    line: esIssue.line,
+                    column: esIssue.column,
+                    endLine: esIssue.endLine,
+                    endCol: esIssue.endCol,
+                    contractName: esIssue.contractName,
+                    functionSignature: esIssue.functionSignature,
+                    fingerprint: esIssue.fingerprint,
+                    relatedLocations: (issue.relatedLocations || []).map((location, i) =>
+                        Object.assign({ sourceMap: location.sourceMap }, esIssue.relatedLocations[i])),
+                    extra: issue.extra,
+                    suppressed: this.isSuppressed(esIssue, sourceName),
+                });
+            });
+        });
+        return {
+            contractName: this.buildObj.contractName,
+            sourcePath: this.sourcePath,
+            reports: this.reports,
+            issues,
+        };
     }
 }
 
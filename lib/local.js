@@ -0,0 +1,270 @@
+// Offline analysis for "truffle run analyze --local": detectors that look
+// at the solc AST of a contract, with no MythX account or network.
+//
+// A detector is a module like an ESLint rule:
+//
+//   module.exports = {
+//       meta: {
+//           swcID: 'SWC-115',
+//           swcTitle: 'Authorization through tx.origin',
+//           severity: 'Medium',
+//           description: 'Longer explanation, shown after the message.',
+//       },
+//       create(context) {
+//           return {
+//               MemberAccess(node) {
+//                   context.report({ node, message: 'Use of tx.origin.' });
+//               },
+//           };
+//       },
+//   };
+//
+// create() returns handlers by AST node type, as taken by AstWalker.walk,
+// which are called for every node of that type. A detector can also give
+// such handlers itself, next to meta, in which case they get the context
+// as second argument:
+//
+//   module.exports = {
+//       meta: { ... },
+//       MemberAccess(node, context) {
+//           context.report({ node, message: 'Use of tx.origin.' });
+//       },
+//   };
+//
+// As with AstWalker.walk, a handler that returns false keeps the nodes
+// under its node from being visited. Findings are returned as a MythX
+// report in text format, so they go through the same reporting as MythX's
+// own.
+//
+// Projects can add rules of their own in the same form, in a mythx-rules
+// directory or listed in the "rules" option. Rules about house conventions
+// rather than SWC weaknesses give an id and a default message instead:
+//
+//   meta: {
+//       id: 'no-now-in-pricing',
+//       severity: 'Medium',
+//       message: 'Prices must not depend on "now".',
+//   },
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const AstWalker = require('../compat/astWalker');
+const { getSourceIndex } = require('./mythx');
+
+const BUILTIN_DETECTORS_DIR = path.join(__dirname, 'detectors');
+const RULES_DIR = 'mythx-rules';
+const severities = ['High', 'Medium', 'Low'];
+
+/**
+ * Gives the handlers by AST node type that a detector exports itself,
+ * rather than through create().
+ *
+ * @param {object} detector - detector module
+ * @returns {object} - handlers by node type, "*" for all other nodes
+ */
+function getVisitors(detector) {
+    const visitors = {};
+    Object.keys(detector)
+        .filter(key => key !== 'create' && typeof detector[key] === 'function')
+        .forEach(key => {
+            visitors[key] = detector[key];
+        });
+    return visitors;
+}
+
+/**
+ * Loads a detector module. Its name is its file name without the extension.
+ *
+ * @param {string} file - path to the module
+ * @returns {object} - the detector, with a name
+ */
+function loadDetector(file) {
+    const detector = require(path.resolve(file));
+    if (!detector || !detector.meta ||
+        (typeof detector.create !== 'function' && Object.keys(getVisitors(detector)).length === 0)) {
+        throw new Error(`${file} is not a detector; it should export meta and create(context) or node type handlers.`);
+    }
+    const severity = detector.meta.severity && severities.find(s => s.toLowerCase() === detector.meta.severity.toLowerCase());
+    if (detector.meta.severity && !severity) {
+        throw new Error(`${file}: meta.severity should be one of ${severities.join(', ')}.`);
+    }
+    return Object.assign({ name: path.basename(file, '.js') }, detector, {
+        meta: Object.assign({}, detector.meta, { severity: severity || 'Low' }),
+    });
+}
+
+/**
+ * Loads the detectors of a directory, one per .js file.
+ *
+ * @param {string} dir - directory of detector modules
+ * @returns {object[]} - detector modules, each with a name, sorted by name
+ */
+function loadDetectors(dir) {
+    return fs.readdirSync(dir)
+        .filter(file => path.extname(file) === '.js')
+        .sort()
+        .map(file => loadDetector(path.join(dir, file)));
+}
+
+/**
+ * Loads the rules of a project: those in its mythx-rules directory and
+ * those in the given files and directories.
+ *
+ * @param {string} workingDirectory - truffle project directory
+ * @param {string[]} rules - rule files or directories, relative to the project directory
+ * @returns {object[]} - detector modules
+ */
+function loadProjectRules(workingDirectory, rules = []) {
+    const baseDir = workingDirectory || process.cwd();
+    const rulesDir = path.join(baseDir, RULES_DIR);
+    const paths = (fs.existsSync(rulesDir) ? [rulesDir] : [])
+        .concat(rules.map(rule => path.resolve(baseDir, rule)));
+    return paths
+        .map(rulePath => {
+            let stats;
+            try {
+                stats = fs.statSync(rulePath);
+            } catch (err) {
+                throw new Error(`Cannot load rules from ${rulePath}: ${err.message}`);
+            }
+            return stats.isDirectory() ? loadDetectors(rulePath) : [loadDetector(rulePath)];
+        })
+        .reduce((acc, curr) => acc.concat(curr), []);
+}
+
+/**
+ * Finds the AST nodes that belong to a contract: its ContractDefinition
+ * and, for the first contract of a file, file-level nodes such as pragmas,
+ * so that those are looked at once per file.
+ *
+ * @param {object} buildObj - truffle build object
+ * @returns {object[]} - AST nodes
+ */
+function getContractNodes(buildObj) {
+    const nodes = (buildObj.ast && buildObj.ast.nodes) || [];
+    const contracts = nodes.filter(node => node.nodeType === 'ContractDefinition');
+    const own = contracts.find(node => node.name === buildObj.contractName);
+    if (!own) {
+        return [];
+    }
+    return own === contracts[0] ? nodes.filter(node => node === own || node.nodeType !== 'ContractDefinition') : [own];
+}
+
+/**
+ * Indexes the ContractDefinition nodes of the whole project by AST id,
+ * for detectors that look at base contracts.
+ *
+ * @param {object[]} buildObjs - truffle build objects of the project
+ * @returns {object} - ContractDefinition nodes by id
+ */
+function getContractsById(buildObjs) {
+    const contracts = {};
+    buildObjs.forEach(({ ast }) => {
+        ((ast && ast.nodes) || [])
+            .filter(node => node.nodeType === 'ContractDefinition')
+            .forEach(node => {
+                contracts[node.id] = node;
+            });
+    });
+    return contracts;
+}
+
+/**
+ * Runs detectors over a contract.
+ *
+ * @param {object[]} detectors - as given by loadDetectors
+ * @param {object} buildObj - truffle build object of the contract
+ * @param {object[]} buildObjs - truffle build objects of the project (*Optional*)
+ * @returns {object} - MythX report of the findings, with sourceFormat "text"
+ */
+function runDetectors(detectors, buildObj, buildObjs = []) {
+    const walker = new AstWalker();
+    const nodes = getContractNodes(buildObj);
+    const contracts = getContractsById(buildObjs.concat(buildObj));
+    const source = buildObj.source || '';
+    const issues = [];
+
+    detectors.forEach(detector => {
+        const { meta } = detector;
+        const context = {
+            contractName: buildObj.contractName,
+            sourcePath: buildObj.sourcePath,
+
+            /**
+             * Records a finding.
+             *
+             * @param {object} finding
+             * @param {object} finding.node - AST node the finding is about
+             * @param {string} finding.message - one-line description; meta.message by default
+             * @param {string} finding.severity - overrides meta.severity (*Optional*)
+             */
+            report({ node, message, severity }) {
+                const ruleId = meta.swcID || meta.id || detector.name;
+                issues.push({
+                    swcID: ruleId,
+                    swcTitle: meta.swcTitle || meta.title || ruleId,
+                    description: {
+                        head: message || meta.message || '',
+                        tail: meta.description || '',
+                    },
+                    severity: severity || meta.severity,
+                    locations: [{ sourceMap: node.src }],
+                    extra: { detector: detector.name },
+                });
+            },
+
+            // The source code of an AST node.
+            getSource(node) {
+                const [ start, length ] = node.src.split(':').map(n => parseInt(n, 10));
+                return source.substr(start, length);
+            },
+
+            // The ContractDefinition node with the given AST id, e.g. from linearizedBaseContracts.
+            getContract(id) {
+                return contracts[id];
+            },
+
+            // All nodes of a type under node, node itself included.
+            findAll(node, nodeType) {
+                const found = [];
+                walker.walkFull(node, {
+                    [nodeType]: child => {
+                        found.push(child);
+                        return true;
+                    },
+                });
+                return found;
+            },
+        };
+
+        const handlers = typeof detector.create === 'function' ? detector.create(context) : getVisitors(detector);
+        const callback = {};
+        Object.keys(handlers).forEach(nodeType => {
+            // Handlers that return nothing, as ESLint-style ones do, still get the nodes below visited.
+            callback[nodeType] = node => handlers[nodeType](node, context) !== false;
+        });
+        nodes.forEach(node => walker.walkFull(node, callback));
+    });
+
+    // Findings are located by AST "src" attributes, whose file field is the
+    // solc source index, so the contract's file goes at that position.
+    const sourceList = new Array(getSourceIndex(buildObj) || 0).fill('').concat(buildObj.sourcePath);
+
+    return {
+        sourceType: 'solidity-file',
+        sourceFormat: 'text',
+        sourceList,
+        issues,
+        meta: {},
+    };
+}
+
+module.exports = {
+    BUILTIN_DETECTORS_DIR,
+    RULES_DIR,
+    loadDetector,
+    loadDetectors,
+    loadProjectRules,
+    runDetectors,
+};
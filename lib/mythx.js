@@ -2,9 +2,70 @@
 
 const path = require('path');
 
+/**
+ * Returns the solc source index of a truffle build object. This is the
+ * number that solc srcmap entries use in their file field. It is taken
+ * from the "src" attribute of the SourceUnit AST node: "start:length:index".
+ *
+ * @param {object} truffleJSON - truffle build object
+ * @returns {integer|null} - source index, or null when it is not known
+ */
+const getSourceIndex = function({ ast }) {
+    if (!ast || typeof ast.src !== 'string') {
+        return null;
+    }
+    const index = parseInt(ast.src.split(':')[2], 10);
+    return index >= 0 ? index : null;
+};
+
+/**
+ * Finds the build objects of the source files that truffleJSON's source
+ * imports, directly or indirectly. These were compiled together with it,
+ * so their source indices are the ones its source maps refer to.
+ *
+ * @param {object} truffleJSON - truffle build object
+ * @param {object[]} artifacts - truffle build objects of the project
+ * @returns {object[]} - truffleJSON followed by one build object per imported file
+ */
+const getImportedArtifacts = function(truffleJSON, artifacts) {
+    const byPath = {};
+    artifacts.forEach(artifact => {
+        const { sourcePath, ast } = artifact;
+        if (ast && ast.absolutePath && !byPath[ast.absolutePath]) {
+            byPath[ast.absolutePath] = artifact;
+        }
+        if (sourcePath && !byPath[sourcePath]) {
+            byPath[sourcePath] = artifact;
+        }
+    });
+
+    const result = [];
+    const seen = {};
+    const queue = [truffleJSON];
+    while (queue.length > 0) {
+        const artifact = queue.shift();
+        if (seen[artifact.sourcePath]) {
+            continue;
+        }
+        seen[artifact.sourcePath] = true;
+        result.push(artifact);
+        const nodes = (artifact.ast && artifact.ast.nodes) || [];
+        nodes
+            .filter(node => node.nodeType === 'ImportDirective' && byPath[node.absolutePath])
+            .forEach(node => queue.push(byPath[node.absolutePath]));
+    }
+    return result;
+};
+
 // Take truffle's build/contracts/xxx.json JSON and make it
-// compatible with the Mythril Platform API
-const truffle2MythXJSON = function(truffleJSON, toolId = 'truffle-analyze') {
+// compatible with the Mythril Platform API.
+//
+// sourceList is laid out so that position i holds the file with solc
+// source index i, and when the build objects of the rest of the project
+// are given in artifacts, the sources of imported files are included too.
+// Indices of files we have no build object for are filled with empty
+// strings. A source with no known index is sent as a one-element sourceList.
+const truffle2MythXJSON = function(truffleJSON, toolId = 'truffle-analyze', artifacts = []) {
     const {
         contractName,
         bytecode,
@@ -12,12 +73,39 @@ const truffle2MythXJSON = function(truffleJSON, toolId = 'truffle-analyze') {
         sourceMap,
         deployedSourceMap,
         sourcePath,
-        source,
-        ast,
         compiler: { version },
     } = truffleJSON;
 
-    const sourcesKey = path.basename(sourcePath);
+    const sourceFiles = {};
+    const sources = {};
+    // Without a source index of our own, imported files can't be placed in sourceList.
+    const sourceArtifacts = getSourceIndex(truffleJSON) === null ?
+        [truffleJSON] : getImportedArtifacts(truffleJSON, artifacts);
+    sourceArtifacts.forEach(artifact => {
+        const index = getSourceIndex(artifact);
+        const sourcesKey = path.basename(artifact.sourcePath);
+        const isMain = artifact === truffleJSON;
+        if (!isMain && (index === null || index in sourceFiles || sourcesKey in sources)) {
+            // Not from the same compilation, or clashing with a file we already have.
+            return;
+        }
+        if (index !== null) {
+            sourceFiles[index] = artifact.sourcePath;
+        }
+        sources[sourcesKey] = {
+            source: artifact.source,
+            ast: artifact.ast,
+        };
+    });
+
+    let sourceList = [ sourcePath ];
+    const indices = Object.keys(sourceFiles).map(i => parseInt(i, 10));
+    if (indices.length > 0) {
+        sourceList = [];
+        for (let i = 0; i <= Math.max.apply(null, indices); i++) {
+            sourceList.push(sourceFiles[i] || '');
+        }
+    }
 
     return {
         contractName,
@@ -25,19 +113,22 @@ const truffle2MythXJSON = function(truffleJSON, toolId = 'truffle-analyze') {
         deployedBytecode,
         sourceMap,
         deployedSourceMap,
-        sourceList: [ sourcePath ],
-        sources: {
-            [sourcesKey]: {
-                source,
-                ast,
-            },
-        },
+        sourceList,
+        sources,
         toolId,
         version,
     };
 };
 
 
+/**
+ * Groups the issues of a MythX report by the file they are in. Each MythX
+ * issue stays one issue: its first location is the primary one and decides
+ * the file, and the other locations are kept, in order, as related locations.
+ *
+ * @param {object} mythObject - MythX report
+ * @returns {object[]} - reports of one file each: { source, sourceType, sourceFormat, issues }
+ */
 const remapMythXOutput = mythObject => {
     const mapped = mythObject.sourceList.map(source => ({
         source,
@@ -46,27 +137,50 @@ const remapMythXOutput = mythObject => {
         issues: [],
     }));
 
+    // The file field of the source map entry picks the sourceList entry.
+    // Offsets into files we don't know, be it an index past the end or the
+    // empty placeholder of a file we had no build object for, mean nothing
+    // in any file we have: such issues go to a group of their own with an
+    // empty source, and so get no line, snippet or scope.
+    const unknown = {
+        source: '',
+        sourceType: mythObject.sourceType,
+        sourceFormat: mythObject.sourceFormat,
+        issues: [],
+    };
+    const getGroup = sourceMap => {
+        const sourceListIndex = parseInt(sourceMap.split(';')[0].split(':')[2], 10);
+        const group = mapped[sourceListIndex];
+        return group && group.source ? group : unknown;
+    };
+
     if (mythObject.issues) {
-        mythObject.issues.forEach(issue => {
-            issue.locations.forEach(({ sourceMap }) => {
-                // const sourceListIndex = sourceMap.split(':')[2];
-                // FIXME: Only one sourceList is supported. set to 0
-                mapped[0].issues.push({
+        mythObject.issues
+            .filter(issue => issue.locations && issue.locations.length > 0)
+            .forEach(issue => {
+                const [ { sourceMap }, ...related ] = issue.locations;
+                getGroup(sourceMap).issues.push({
                     swcID: issue.swcID,
                     swcTitle: issue.swcTitle,
                     description: issue.description,
                     extra: issue.extra,
                     severity: issue.severity,
                     sourceMap,
+                    relatedLocations: related.map(location => ({
+                        sourceMap: location.sourceMap,
+                        source: getGroup(location.sourceMap).source,
+                    })),
                 });
             });
-        });
     }
 
-    return mapped;
+    // Drop the placeholders of files we had no build object for.
+    return mapped.filter(group => group.source)
+        .concat(unknown.issues.length > 0 ? [unknown] : []);
 };
 
 module.exports = {
+    getSourceIndex,
     truffle2MythXJSON,
     remapMythXOutput,
 };
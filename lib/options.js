@@ -0,0 +1,157 @@
+// Persistent options from the "analyze" section of truffle-config.js,
+// e.g.
+//
+//   module.exports = {
+//       plugins: [ 'truffle-analyze' ],
+//       analyze: {
+//           mode: 'quick',
+//           style: 'table',
+//           exclude: [ 'Mock*' ],
+//           modes: { 'Token': 'full', 'Vault*': 'full' },
+//       },
+//   };
+//
+// Options given on the command line take precedence.
+'use strict';
+
+const severities = ['low', 'medium', 'high'];
+const modes = ['quick', 'full'];
+
+const isString = value => typeof value === 'string' && value.length > 0;
+const isStringList = value => isString(value) ||
+    (Array.isArray(value) && value.every(isString));
+const isInteger = min => value => Number.isInteger(value) && value >= min;
+const isOneOf = values => value => isString(value) && values.indexOf(value.toLowerCase()) >= 0;
+const isModeMap = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).every(key => isOneOf(modes)(value[key]));
+const isUrl = value => isString(value) && /^https?:\/\/[^/]/.test(value);
+const isUrlTemplate = value => isUrl(value) && value.indexOf('{path}') >= 0;
+
+/**
+ * Checks for each option allowed in the "analyze" section, along with
+ * a description of the values expected, used in error messages.
+ */
+const analyzeOptions = {
+    mode: [isOneOf(modes), '"quick" or "full"'],
+    modes: [isModeMap, 'an object mapping contract names or globs to "quick" or "full"'],
+    style: [isString, 'a report style name'],
+    timeout: [isInteger(1), 'a number of seconds'],
+    minSeverity: [isOneOf(severities), `one of ${severities.join(', ')}`],
+    exclude: [isStringList, 'a list of contract names or globs'],
+    ignoreSwc: [isStringList, 'a list of SWC ids'],
+    concurrency: [isInteger(1), 'a positive integer'],
+    retries: [isInteger(0), 'a non-negative integer'],
+    failOn: [isOneOf(severities.concat(['none'])), `one of ${severities.join(', ')}, none`],
+    baseline: [isString, 'a file name'],
+    apiUrl: [isUrl, 'an http or https URL'],
+    proxy: [isUrl, 'an http or https proxy URL'],
+    caBundle: [isString, 'a file name'],
+    rules: [isStringList, 'a list of rule files or directories'],
+    context: [isInteger(0), 'a non-negative integer'],
+    repoUrl: [isUrlTemplate, 'an http or https URL template with a {path} placeholder'],
+};
+
+/**
+ * Validates the "analyze" section of a truffle configuration.
+ *
+ * @param {Object} section - value of the "analyze" key
+ * @throws {Error} naming the first bad key
+ */
+function validateAnalyzeOptions(section) {
+    if (section === null || typeof section !== 'object' || Array.isArray(section)) {
+        throw new Error('The "analyze" section of the truffle configuration should be an object.');
+    }
+    Object.keys(section).forEach(key => {
+        if (!(key in analyzeOptions)) {
+            throw new Error(`Unknown option "analyze.${key}" in the truffle configuration; ` +
+                `known options are: ${Object.keys(analyzeOptions).join(', ')}.`);
+        }
+        const [check, expected] = analyzeOptions[key];
+        if (!check(section[key])) {
+            throw new Error(`Invalid value ${JSON.stringify(section[key])} for "analyze.${key}" ` +
+                `in the truffle configuration; expected ${expected}.`);
+        }
+    });
+}
+
+// Keys each configuration got from its "analyze" section rather than
+// from the command line.
+const configDefaults = new WeakMap();
+
+/**
+ * Fills in options not given on the command line from the
+ * "analyze" section of the truffle configuration.
+ *
+ * @param {Object} config - truffle configuration object. It is updated in place.
+ * @returns {Object} - config
+ */
+function applyConfigDefaults(config) {
+    const section = config.analyze;
+    if (section === undefined) {
+        return config;
+    }
+    validateAnalyzeOptions(section);
+    const filled = configDefaults.get(config) || new Set();
+    Object.keys(section).forEach(key => {
+        if (config[key] === undefined) {
+            config[key] = section[key];
+            filled.add(key);
+        }
+    });
+    configDefaults.set(config, filled);
+    return config;
+}
+
+/**
+ * Was an option given on the command line, as opposed to being
+ * filled in from the "analyze" section by applyConfigDefaults?
+ *
+ * @param {Object} config - truffle configuration object.
+ * @param {String} key - option name (camel case)
+ * @returns {boolean}
+ */
+function isCommandLineOption(config, key) {
+    const filled = configDefaults.get(config);
+    return config[key] !== undefined && !(filled && filled.has(key));
+}
+
+/**
+ * Turns a list option into an array. On the command line lists
+ * are given comma-separated, e.g. --ignore-swc SWC-103,SWC-108.
+ *
+ * @param {String|String[]} value - option value
+ * @returns {String[]}
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const values = Array.isArray(value) ? value : value.toString().split(',');
+    return values.map(v => v.toString().trim()).filter(v => v.length > 0);
+}
+
+/**
+ * Does a contract name match one of the given names or globs?
+ * In a glob, "*" matches any run of characters and "?" a single one.
+ *
+ * @param {String} name - contract name
+ * @param {String[]} patterns - contract names or globs
+ * @returns {boolean}
+ */
+function matchesContractName(name, patterns) {
+    return patterns.some(pattern => {
+        const regexp = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${regexp}$`).test(name);
+    });
+}
+
+module.exports = {
+    applyConfigDefaults,
+    isCommandLineOption,
+    validateAnalyzeOptions,
+    toList,
+    matchesContractName,
+};
@@ -0,0 +1,118 @@
+// Concurrency limiting and retries for MythX requests.
+'use strict';
+
+// Error codes of network failures that are worth another try.
+const transientErrorCodes = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+];
+
+/**
+ * Runs fn over items with at most limit calls in progress at a time.
+ *
+ * @param {Array} items - things to work on
+ * @param {integer} limit - maximum number of concurrent calls
+ * @param {Function} fn - async function called with (item, index)
+ * @returns {Promise} - resolves to the array of results, in the order of items
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+};
+
+/**
+ * Gives the HTTP status of a failed request. armlet reports some HTTP
+ * failures only in the error message, e.g. "Failed to get response,
+ * status code 503".
+ *
+ * @param {Error} err - error of the failed request
+ * @returns {integer|null} - HTTP status code, null when there is none
+ */
+const getStatusCode = err => {
+    if (!err) {
+        return null;
+    }
+    if (err.statusCode || err.status) {
+        return err.statusCode || err.status;
+    }
+    const match = /status code (\d{3})/.exec(err.message || '');
+    return match && parseInt(match[1], 10);
+};
+
+/**
+ * Can a failed request be retried? That is the case for network resets
+ * and timeouts, HTTP 429 (rate limited) and HTTP 5xx responses.
+ *
+ * @param {Error} err - error of the failed request
+ * @returns {boolean}
+ */
+const isTransientError = err => {
+    if (!err) {
+        return false;
+    }
+    if (transientErrorCodes.indexOf(err.code) >= 0) {
+        return true;
+    }
+    const status = getStatusCode(err);
+    return status === 429 || (status >= 500 && status < 600);
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calls fn until it succeeds, retrying transient failures with
+ * exponential backoff: delay, 2 * delay, 4 * delay, ...
+ *
+ * @param {Function} fn - async function to call
+ * @param {object} options
+ * @param {integer} options.retries - maximum number of retries
+ * @param {integer} options.delay - milliseconds to wait before the first retry
+ * @param {Function} options.isRetryable - predicate on errors, isTransientError by default
+ * @param {Function} options.onRetry - called with (err, retryNumber, wait) before each retry
+ * @returns {Promise} - resolves to { result, retries }. On failure the
+ *                      rejected error gets a "retries" property.
+ */
+const retry = async (fn, { retries = 3, delay = 1000, isRetryable = isTransientError, onRetry = () => {} } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await fn();
+            return { result, retries: attempt };
+        } catch (err) {
+            if (attempt >= retries || !isRetryable(err)) {
+                if (err instanceof Object) {
+                    err.retries = attempt;
+                }
+                throw err;
+            }
+            const wait = delay * Math.pow(2, attempt);
+            onRetry(err, attempt + 1, wait);
+            await sleep(wait);
+        }
+    }
+};
+
+module.exports = {
+    mapWithConcurrency,
+    getStatusCode,
+    isTransientError,
+    retry,
+    sleep,
+};
@@ -0,0 +1,212 @@
+// Truffle tests that replay the transaction sequence MythX found for an
+// issue, for "truffle run analyze repro <issue-id>". A generated test
+// fails as long as the contract is vulnerable, so it can go along with
+// a security ticket and stay as a regression test after the fix. Only
+// the SWC ids of vulnerableStateChecks have a check of their own; for
+// the others the test expects the final call to be rejected, which only
+// fits issues fixed by a revert.
+'use strict';
+
+const path = require('path');
+const abiCoder = require('web3-eth-abi');
+
+const REPRO_DIR = path.join('test', 'mythx');
+
+// How a generated test tells that the final transaction of a sequence
+// still reaches the vulnerable state, by SWC id. "error" is what the
+// transaction was rejected with, if it was.
+const vulnerableStateChecks = {
+    // Assert violation: the assert() fails.
+    'SWC-110': [
+        'assert.ok(!error || !/invalid opcode|assert/i.test(error.message),',
+        '    \'An assert() still fails.\');',
+    ],
+    // Unprotected SELFDESTRUCT: the contract is gone.
+    'SWC-106': [
+        'assert.notEqual(await web3.eth.getCode(instance.address), \'0x\',',
+        '    \'The contract can still be destroyed.\');',
+    ],
+};
+// Otherwise the final transaction should be rejected once the contract is fixed.
+const defaultVulnerableStateCheck = [
+    '// Fixed contracts are expected to reject this call. Fixes that let it',
+    '// go through, e.g. checks-effects-interactions against reentrancy,',
+    '// need a check of the vulnerable state here instead.',
+    'assert.ok(error, \'The transaction sequence MythX found still goes through.\');',
+];
+
+/**
+ * Can a transaction sequence be replayed? Those without a call after
+ * deployment can't: there would be nothing for a test to check.
+ *
+ * @param {object[]} steps - as given by trace.decodeTestCases
+ * @returns {boolean}
+ */
+const isReplayable = steps => steps.some(step => step.call);
+
+/**
+ * Returns the file a reproduction test of an issue is written to.
+ *
+ * @param {string} workingDirectory - truffle project directory
+ * @param {string} contractName - name of the analyzed contract
+ * @param {object} message - ESLint-style issue with ruleId and fingerprint
+ * @returns {string}
+ */
+const getReproFile = (workingDirectory, contractName, message) => path.join(workingDirectory || process.cwd(),
+    REPRO_DIR, `${contractName}-${message.ruleId || 'MythX'}-${message.fingerprint.slice(0, 8)}.js`);
+
+/**
+ * Decodes the constructor arguments at the end of contract creation
+ * input, which starts with the contract's bytecode.
+ *
+ * @param {string} input - creation transaction input
+ * @param {object} buildObj - truffle build object with abi and bytecode
+ * @returns {Array|null} - argument values, or null when the input doesn't start with the bytecode
+ */
+function decodeConstructorArgs(input, { abi = [], bytecode = '' }) {
+    const constructor = abi.find(item => item.type === 'constructor');
+    if (!constructor || constructor.inputs.length === 0) {
+        return [];
+    }
+    const code = bytecode.replace(/^0x/, '').toLowerCase();
+    const data = (input || '').replace(/^0x/, '').toLowerCase();
+    if (!code || !data.startsWith(code)) {
+        return null;
+    }
+    try {
+        const decoded = abiCoder.decodeParameters(constructor.inputs, `0x${data.slice(code.length)}`);
+        return constructor.inputs.map((param, i) => decoded[i]);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Writes the JavaScript source of a test that replays one transaction
+ * sequence.
+ *
+ * @param {object[]} steps - as given by trace.decodeTestCases
+ * @param {object} buildObj - truffle build object of the contract
+ * @param {string} swcID - SWC id of the issue
+ * @returns {string[]} - lines of the test body
+ */
+function generateSteps(steps, buildObj, swcID) {
+    // MythX makes up sender addresses; the test uses ganache accounts instead.
+    const accounts = {};
+    const account = caller => {
+        const key = (caller || '').toLowerCase();
+        if (!(key in accounts)) {
+            accounts[key] = `accounts[${Object.keys(accounts).length}]`;
+        }
+        return accounts[key];
+    };
+    const creation = steps.find(step => !step.call);
+    const contractAddress = (steps.find(step => step.call) || {}).address || '';
+    const literal = value => {
+        if (typeof value === 'string') {
+            const address = value.toLowerCase();
+            if (contractAddress && address === contractAddress.toLowerCase()) {
+                return 'instance.address';
+            }
+            if (address in accounts) {
+                return accounts[address];
+            }
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(literal).join(', ')}]`;
+        }
+        return JSON.stringify(value);
+    };
+    const txOptions = step => {
+        const fields = [`from: ${account(step.caller)}`];
+        if (step.value !== '0') {
+            fields.push(`value: '${step.value}'`);
+        }
+        return fields;
+    };
+    const names = buildObj.abi.filter(item => item.type === 'function').map(item => item.name);
+
+    const lines = [];
+    const constructorArgs = creation ? decodeConstructorArgs(creation.input, buildObj) : [];
+    if (constructorArgs === null) {
+        lines.push('// FIXME: MythX deployed the contract with arguments that could not be decoded.');
+    }
+    const deployOptions = creation ? txOptions(creation) : [`from: ${account('')}`];
+    const deployArgs = (constructorArgs || []).map(literal).concat(`{ ${deployOptions.join(', ')} }`);
+    lines.push(`const instance = await ${buildObj.contractName}.new(${deployArgs.join(', ')});`);
+
+    const calls = steps.filter(step => step.call).map(step => {
+        const options = txOptions(step);
+        const { call } = step;
+        if (call.name === null || call.name === 'fallback') {
+            return `instance.sendTransaction({ ${options.concat(`data: '${step.input}'`).join(', ')} })`;
+        }
+        const method = names.filter(name => name === call.name).length > 1 ?
+            `instance.methods['${call.signature}']` : `instance.${call.name}`;
+        const args = call.args.map(arg => literal(arg.value)).concat(`{ ${options.join(', ')} }`);
+        return `${method}(${args.join(', ')})`;
+    });
+    calls.slice(0, -1).forEach(call => lines.push(`await ${call};`));
+    return lines.concat([
+        'let error;',
+        'try {',
+        `    await ${calls[calls.length - 1]};`,
+        '} catch (err) {',
+        '    error = err;',
+        '}',
+    ], vulnerableStateChecks[swcID] || defaultVulnerableStateCheck);
+}
+
+/**
+ * Writes the JavaScript source of a truffle test that replays the
+ * transaction sequences MythX found for an issue. It is meant for
+ * "truffle test" against a local ganache. Sequences that aren't
+ * replayable are left out.
+ *
+ * @param {object} buildObj - truffle build object of the contract
+ * @param {object} message - ESLint-style issue, with testCases decoded by trace.decodeTestCases
+ * @param {string} sourceName - solidity file name of the issue
+ * @returns {string}
+ * @throws {Error} when no sequence is replayable
+ */
+function generateReproTest(buildObj, message, sourceName) {
+    const id = message.fingerprint.slice(0, 8);
+    const testCases = message.testCases.filter(isReplayable);
+    if (testCases.length === 0) {
+        throw new Error(`MythX found no transaction sequence with a call to replay for issue ${message.fingerprint}; ` +
+            'it may be in the constructor.');
+    }
+    const indent = (lines, prefix) => lines.map(line => `${prefix}${line}`);
+    const lines = [
+        `// Replays the transaction sequence that MythX found for issue ${message.fingerprint}:`,
+        // One comment line: MythX descriptions may span several.
+        `// ${message.ruleId} at ${sourceName}:${message.line}: ${String(message.message).replace(/\s+/g, ' ').trim()}`,
+        '//',
+        '// Generated by "truffle run analyze repro". The test fails as long as',
+        '// the contract is vulnerable. Run it against a local ganache with',
+        '// "truffle test <this file>".',
+        `const ${buildObj.contractName} = artifacts.require('${buildObj.contractName}');`,
+        '',
+        `contract('${buildObj.contractName}: MythX issue ${id} (${message.ruleId})', accounts => {`,
+    ];
+    testCases.forEach((steps, i) => {
+        const title = testCases.length > 1 ? ` ${i + 1}` : '';
+        if (i > 0) {
+            lines.push('');
+        }
+        lines.push(`    it('should not be exploitable by transaction sequence${title}', async () => {`);
+        lines.push(...indent(generateSteps(steps, buildObj, message.ruleId), '        '));
+        lines.push('    });');
+    });
+    lines.push('});');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    REPRO_DIR,
+    decodeConstructorArgs,
+    generateReproTest,
+    getReproFile,
+    isReplayable,
+};
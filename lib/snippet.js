@@ -0,0 +1,63 @@
+// Source code around a finding, for "--context N":
+//
+//     16 |     if (credit[msg.sender]>= amount) {
+//   > 17 |       require(msg.sender.call.value(amount)());
+//        |               ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+//     18 |       credit[msg.sender]-=amount;
+'use strict';
+
+/**
+ * Formats the lines of source around an ESLint-style location, with the
+ * located span underlined. Spans over several lines are underlined up
+ * to the end of their first line.
+ *
+ * @param {string} source - solidity source code
+ * @param {object} location - ESLint-style { line, column, endLine, endCol }; lines
+ *                            start at 1 and columns at 0
+ * @param {integer} contextLines - number of lines to show before and after the location
+ * @returns {string[]} - lines of the snippet, none when the location is unknown
+ */
+function formatSnippet(source, { line, column, endLine, endCol }, contextLines) {
+    const lines = (source || '').split(/\r?\n/);
+    if (!(line > 0) || line > lines.length) {
+        return [];
+    }
+    const first = Math.max(1, line - contextLines);
+    const last = Math.min(lines.length, line + contextLines);
+    const width = String(last).length;
+    const gutter = (marker, n) => `${marker} ${String(n).padStart(width)} |`;
+
+    const text = lines[line - 1];
+    const end = endLine === line && endCol > column ? endCol : text.length;
+    // Tabs are kept so that the underline lines up with the code above it.
+    const indent = text.slice(0, column).replace(/[^\t]/g, ' ');
+    const underline = `${indent}${'^'.repeat(Math.max(1, end - column))}`;
+
+    const result = [];
+    for (let n = first; n <= last; n++) {
+        const code = lines[n - 1];
+        result.push(code ? `${gutter(n === line ? '>' : ' ', n)} ${code}` : gutter(n === line ? '>' : ' ', n));
+        if (n === line) {
+            result.push(`${gutter(' ', '')} ${underline}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Gives the source line of a location with its surrounding whitespace
+ * removed, for report styles with no room for a snippet.
+ *
+ * @param {string} source - solidity source code
+ * @param {object} location - ESLint-style { line }
+ * @returns {string} - the line, empty when the location is unknown
+ */
+function getSourceLine(source, { line }) {
+    const lines = (source || '').split(/\r?\n/);
+    return line > 0 && line <= lines.length ? lines[line - 1].trim() : '';
+}
+
+module.exports = {
+    formatSnippet,
+    getSourceLine,
+};
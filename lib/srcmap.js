@@ -24,6 +24,59 @@ module.exports = {
             instIndex, sourceMap, ast);
     },
 
+    /**
+     *  Return the FunctionDefinition or ModifierDefinition AST node
+     *  enclosing sourceLocation if there is one. Otherwise return null.
+     *  @param {sourceLocation} object - {start, length} character range in the source
+     *  @param {ast}               - solc root AST for contract
+     *  @return {AST node or null}
+     *
+     */
+    findEnclosingFunction: function (sourceLocation, ast) {
+        const sourceMappingDecoder = new SourceMappingDecoder();
+        return sourceMappingDecoder.findNodeAtSourceLocation('FunctionDefinition', sourceLocation, ast) ||
+            sourceMappingDecoder.findNodeAtSourceLocation('ModifierDefinition', sourceLocation, ast);
+    },
+
+    /**
+     *  Return the ContractDefinition AST node enclosing sourceLocation
+     *  if there is one. Otherwise return null.
+     *  @param {sourceLocation} object - {start, length} character range in the source
+     *  @param {ast}               - solc root AST for contract
+     *  @return {AST node or null}
+     *
+     */
+    findEnclosingContract: function (sourceLocation, ast) {
+        const sourceMappingDecoder = new SourceMappingDecoder();
+        return sourceMappingDecoder.findNodeAtSourceLocation('ContractDefinition', sourceLocation, ast);
+    },
+
+    /**
+     *  Return the name of a FunctionDefinition or ModifierDefinition AST
+     *  node with its parameter types, e.g. "withdraw(uint256)". Constructors,
+     *  fallback and receive functions are named by their kind.
+     *  @param {node} AST node     - FunctionDefinition or ModifierDefinition
+     *  @return {string}
+     *
+     */
+    functionSignature: function (node) {
+        let name = node.name;
+        if (node.kind && node.kind !== 'function') {
+            // solc >= 0.5: constructor, fallback or receive.
+            name = node.kind;
+        } else if (node.isConstructor) {
+            name = 'constructor';
+        } else if (!name) {
+            name = 'fallback';
+        }
+        const parameters = (node.parameters && node.parameters.parameters) || [];
+        const types = parameters.map(({ typeDescriptions }) => (typeDescriptions && typeDescriptions.typeString || '')
+            // Drop data locations and kinds: "struct Bank.Account memory" becomes "Bank.Account".
+            .replace(/ (storage|memory|calldata)( (ref|pointer|slice))?$/, '')
+            .replace(/^(contract|struct|enum) /, ''));
+        return `${name}(${types.join(',')})`;
+    },
+
     /**
      *  Return the true is AST node is a public array.
      *  @param {node} AST node     - bytecode offset of instruction
@@ -0,0 +1,67 @@
+// Record of analyses sent by "truffle run analyze submit", so that
+// "status" and "report" know which contract each UUID belongs to.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SUBMISSIONS_FILE = '.mythx-submissions.json';
+const SUBMISSIONS_VERSION = 1;
+
+/**
+ * Returns the submissions file of a truffle project.
+ *
+ * @param {string} workingDirectory - truffle project directory
+ * @returns {string}
+ */
+const getSubmissionsFile = workingDirectory => path.join(workingDirectory || process.cwd(), SUBMISSIONS_FILE);
+
+/**
+ * Reads recorded submissions.
+ *
+ * @param {string} file - path to the submissions file
+ * @returns {object[]} - { uuid, contractName, cacheKey, submittedAt } records; empty when there is no file
+ */
+function loadSubmissions(file) {
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw new Error(`Cannot read submissions file ${file}: ${err.message}`);
+    }
+    if (doc.version !== SUBMISSIONS_VERSION || !Array.isArray(doc.submissions)) {
+        throw new Error(`${file} is not a version ${SUBMISSIONS_VERSION} submissions file.`);
+    }
+    return doc.submissions;
+}
+
+/**
+ * Records new submissions. They replace earlier submissions of the
+ * same contracts, so the file always lists the latest analysis of each.
+ *
+ * @param {string} file - path to the submissions file
+ * @param {object[]} submissions - { uuid, contractName, cacheKey, submittedAt } records
+ * @returns {object[]} - all recorded submissions
+ */
+function saveSubmissions(file, submissions) {
+    const contractNames = submissions.map(s => s.contractName);
+    const all = loadSubmissions(file)
+        .filter(s => contractNames.indexOf(s.contractName) < 0)
+        .concat(submissions);
+    const doc = {
+        version: SUBMISSIONS_VERSION,
+        submissions: all,
+    };
+    fs.writeFileSync(file, JSON.stringify(doc, null, 2) + '\n');
+    return all;
+}
+
+module.exports = {
+    SUBMISSIONS_FILE,
+    getSubmissionsFile,
+    loadSubmissions,
+    saveSubmissions,
+};
@@ -0,0 +1,98 @@
+// Inline suppression comments in Solidity sources.
+//
+// The following forms are recognized, with either // or /* */ comments:
+//
+//   // mythx-disable-next-line SWC-107
+//   x.call.value(amount)();   // mythx-disable-line SWC-107, SWC-104
+//   /* mythx-disable SWC-101 */ ... /* mythx-enable */
+//
+// When no SWC ids are given, every issue is suppressed.
+'use strict';
+
+const directiveRegexp = /(?:\/\/|\/\*)\s*mythx-(disable-next-line|disable-line|disable|enable)\b((?:[\s,]+SWC-\d+)*)/g;
+
+/**
+ * Does a suppression entry apply to the given SWC id?
+ *
+ * @param {string[]} swcIDs - ids listed in the comment; empty means all
+ * @param {string} swcID - SWC id of the issue
+ * @returns {boolean}
+ */
+const matchesSwcID = (swcIDs, swcID) => swcIDs.length === 0 || swcIDs.indexOf(swcID) >= 0;
+
+/**
+ * Scans Solidity source text for mythx-disable/mythx-enable comments.
+ *
+ * @param {string} source - Solidity source text
+ * @returns {object} - { lines, ranges } where lines maps a 1-based line
+ *                     number to a list of suppressed SWC id lists and
+ *                     ranges holds { start, end, swcIDs } line ranges.
+ */
+function parseSuppressions(source) {
+    const lines = {};
+    const ranges = [];
+    const open = [];
+
+    const addLine = (line, swcIDs) => {
+        lines[line] = (lines[line] || []).concat([swcIDs]);
+    };
+
+    (source || '').split('\n').forEach((text, i) => {
+        const line = i + 1;
+        let match;
+        directiveRegexp.lastIndex = 0;
+        while ((match = directiveRegexp.exec(text)) !== null) {
+            const swcIDs = match[2].match(/SWC-\d+/g) || [];
+            switch (match[1]) {
+            case 'disable-next-line':
+                addLine(line + 1, swcIDs);
+                break;
+            case 'disable-line':
+                addLine(line, swcIDs);
+                break;
+            case 'disable':
+                open.push({ start: line, swcIDs });
+                break;
+            case 'enable':
+                // A bare mythx-enable closes every open range; with ids
+                // it closes the ranges that mention any of them.
+                for (let j = open.length - 1; j >= 0; j--) {
+                    const range = open[j];
+                    if (swcIDs.length === 0 || range.swcIDs.some(id => swcIDs.indexOf(id) >= 0)) {
+                        ranges.push({ start: range.start, end: line, swcIDs: range.swcIDs });
+                        open.splice(j, 1);
+                    }
+                }
+                break;
+            }
+        }
+    });
+
+    // Ranges that are never closed extend to the end of the file.
+    open.forEach(range => ranges.push({ start: range.start, end: Infinity, swcIDs: range.swcIDs }));
+
+    return { lines, ranges };
+}
+
+/**
+ * Is an issue at the given line suppressed by an inline comment?
+ *
+ * @param {object} suppressions - result of parseSuppressions()
+ * @param {string} swcID - SWC id of the issue
+ * @param {integer} line - 1-based line of the issue
+ * @returns {boolean}
+ */
+function isSuppressed(suppressions, swcID, line) {
+    if (!suppressions || !(line > 0)) {
+        return false;
+    }
+    const lineEntries = suppressions.lines[line] || [];
+    return lineEntries.some(swcIDs => matchesSwcID(swcIDs, swcID)) ||
+        suppressions.ranges.some(({ start, end, swcIDs }) =>
+            start <= line && line <= end && matchesSwcID(swcIDs, swcID));
+}
+
+module.exports = {
+    parseSuppressions,
+    isSuppressed,
+};
@@ -0,0 +1,159 @@
+// Transaction sequences that MythX found to trigger an issue. They come
+// in the "extra" field of MythX issues as test cases, e.g.
+//
+//   extra: {
+//       testCases: [{
+//           steps: [{
+//               input: '0x2e1a7d4d...',
+//               value: '0x0',
+//               origin: '0xaffeaffeaffeaffeaffeaffeaffeaffeaffeaffe',
+//               address: '0x0901d12ebe1b195e5aa8748e62bd7734ae19b51f',
+//           }],
+//       }],
+//   }
+//
+// The calldata of each step is decoded against the contract's ABI.
+'use strict';
+
+const abiCoder = require('web3-eth-abi');
+
+/**
+ * Turns a hex quantity, e.g. a transaction value, into a decimal string.
+ *
+ * @param {string} hex - e.g. "0x0de0b6b3a7640000"
+ * @returns {string} - e.g. "1000000000000000000"
+ */
+const hex2Decimal = hex => {
+    const digits = (hex || '0x0').replace(/^0x/, '') || '0';
+    // Quantities can be beyond Number precision; the ABI decoder gives exact strings.
+    return abiCoder.decodeParameter('uint256', `0x${digits.padStart(64, '0')}`);
+};
+
+/**
+ * Finds the ABI entry of the function a call selects.
+ *
+ * @param {object[]} abi - contract ABI
+ * @param {string} selector - first four bytes of calldata, e.g. "0x2e1a7d4d"
+ * @returns {object|undefined} - ABI entry
+ */
+const findFunction = (abi, selector) => abi
+    .filter(item => item.type === 'function' || item.type === undefined)
+    .find(item => abiCoder.encodeFunctionSignature(item) === selector);
+
+/**
+ * Decodes transaction calldata against a contract ABI.
+ *
+ * @param {string} input - calldata as a hex string
+ * @param {object[]} abi - contract ABI
+ * @returns {object} - { name, signature, args } where args are { name, type, value }.
+ *                     name is "fallback" for empty calldata, and null when no
+ *                     function of the ABI matches.
+ */
+function decodeCalldata(input, abi = []) {
+    const data = (input || '').replace(/^0x/, '').toLowerCase();
+    if (data.length < 8) {
+        return { name: 'fallback', signature: 'fallback()', args: [] };
+    }
+    const selector = `0x${data.slice(0, 8)}`;
+    const item = findFunction(abi, selector);
+    if (!item) {
+        return { name: null, signature: selector, args: [] };
+    }
+    const signature = `${item.name}(${item.inputs.map(param => param.type).join(',')})`;
+    let decoded;
+    try {
+        decoded = abiCoder.decodeParameters(item.inputs, `0x${data.slice(8)}`);
+    } catch (err) {
+        // Calldata that doesn't fit the parameters; show the function anyway.
+        return { name: item.name, signature, args: [] };
+    }
+    return {
+        name: item.name,
+        signature,
+        args: item.inputs.map((param, i) => ({
+            name: param.name,
+            type: param.type,
+            value: decoded[i],
+        })),
+    };
+}
+
+/**
+ * Decodes the transaction sequences of a MythX issue.
+ *
+ * @param {object} extra - "extra" field of a MythX issue
+ * @param {object[]} abi - ABI of the analyzed contract
+ * @returns {object[][]} - one list of steps per test case; each step is
+ *                         { caller, address, value, input, call } with call as given by decodeCalldata,
+ *                         or null for a contract creation
+ */
+function decodeTestCases(extra, abi) {
+    const testCases = (extra && Array.isArray(extra.testCases)) ? extra.testCases : [];
+    return testCases.map(testCase => (testCase.steps || []).map(step => ({
+        caller: step.origin || step.caller || '',
+        address: step.address || '',
+        value: hex2Decimal(step.value),
+        input: step.input || '',
+        // Steps without a callee deploy the contract.
+        call: step.address ? decodeCalldata(step.input, abi) : null,
+    })));
+}
+
+const formatValue = value => {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+};
+
+/**
+ * Describes a decoded step in one line, e.g.
+ * "withdraw(amount: 1000) from 0xaffe... with value 0".
+ *
+ * @param {object} step - as given by decodeTestCases
+ * @returns {string}
+ */
+function formatStep(step) {
+    let description;
+    if (!step.call) {
+        description = 'contract creation';
+    } else if (step.call.name === null) {
+        description = `unknown function ${step.call.signature} with calldata ${step.input}`;
+    } else {
+        const args = step.call.args.map(arg =>
+            arg.name ? `${arg.name}: ${formatValue(arg.value)}` : formatValue(arg.value));
+        description = `${step.call.name}(${args.join(', ')})`;
+    }
+    if (step.caller) {
+        description += ` from ${step.caller}`;
+    }
+    if (step.value !== '0') {
+        description += ` with value ${step.value}`;
+    }
+    return description;
+}
+
+/**
+ * Describes the transaction sequences of an issue, one line per step.
+ *
+ * @param {object[][]} testCases - as given by decodeTestCases
+ * @returns {string[]}
+ */
+function formatTestCases(testCases) {
+    const lines = [];
+    testCases.forEach((steps, i) => {
+        lines.push(testCases.length > 1 ? `Transaction sequence ${i + 1}:` : 'Transaction sequence:');
+        steps.forEach((step, j) => lines.push(`  ${j + 1}. ${formatStep(step)}`));
+    });
+    return lines;
+}
+
+module.exports = {
+    decodeCalldata,
+    decodeTestCases,
+    formatStep,
+    formatTestCases,
+};
@@ -0,0 +1,29 @@
+pragma solidity ^0.6.0;
+
+contract Wallet {
+    address payable owner;
+
+    constructor() public {
+        owner = msg.sender;
+    }
+
+    function transfer(address payable to, uint amount) public {
+        require(tx.origin == owner);
+        to.send(amount);
+    }
+
+    function forward(address target, bytes memory data) public {
+        (bool ok, ) = target.call(data);
+        require(ok);
+        target.call(data);
+    }
+
+    function kill() public {
+        selfdestruct(owner);
+    }
+
+    function close() public {
+        require(msg.sender == owner);
+        selfdestruct(owner);
+    }
+}
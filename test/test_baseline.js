@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const baseline = require('../lib/baseline');
+
+
+describe('baseline', function() {
+    let baselineFile;
+
+    const makeIssues = messages => [{
+        errorCount: 0,
+        warningCount: 0,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0,
+        filePath: '/tmp/contracts/simple_dao.sol',
+        messages,
+    }];
+
+    const message = (fingerprint, line, severity = 2, analyzedContractName = 'SimpleDAO') => ({
+        ruleId: 'SWC-107',
+        message: 'Head message',
+        severity,
+        fatal: false,
+        line,
+        fingerprint,
+        analyzedContractName,
+    });
+
+    beforeEach(() => {
+        baselineFile = path.join(os.tmpdir(), `mythx-baseline-${process.pid}.json`);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(baselineFile)) {
+            fs.unlinkSync(baselineFile);
+        }
+    });
+
+    it('should compute fingerprints independent of whitespace', () => {
+        const finding = {
+            contractName: 'SimpleDAO',
+            swcID: 'SWC-107',
+            functionName: 'withdraw',
+            snippet: 'msg.sender.call.value(amount)()',
+        };
+        const fingerprint = baseline.getFingerprint(finding);
+        assert.ok(/^[0-9a-f]{64}$/.test(fingerprint));
+        assert.equal(baseline.getFingerprint(Object.assign({}, finding, {
+            snippet: '  msg.sender.call\n      .value(amount)()',
+        })), fingerprint);
+        assert.notEqual(baseline.getFingerprint(Object.assign({}, finding, {
+            functionName: 'donate',
+        })), fingerprint);
+    });
+
+    it('should save and load a baseline', () => {
+        baseline.saveBaseline(baselineFile, makeIssues([message('bbb', 18), message('aaa', 17)]));
+        const loaded = baseline.loadBaseline(baselineFile);
+        assert.equal(loaded.version, 1);
+        assert.deepEqual(loaded.findings.map(f => [f.fingerprint, f.contractName, f.file, f.line]),
+            [['aaa', 'SimpleDAO', 'simple_dao.sol', 17], ['bbb', 'SimpleDAO', 'simple_dao.sol', 18]]);
+    });
+
+    it('should keep the findings of contracts not analyzed when updating', () => {
+        baseline.saveBaseline(baselineFile, makeIssues([
+            message('aaa', 17), message('bbb', 18, 2, 'Token'), message('ccc', 19, 2, 'Vault'),
+        ]));
+        // Only SimpleDAO and Vault are analyzed; Vault no longer has findings.
+        const { baseline: updated, kept } = baseline.updateBaseline(baselineFile,
+            makeIssues([message('ddd', 20)]), ['SimpleDAO', 'Vault']);
+        assert.equal(kept, 1);
+        assert.deepEqual(baseline.loadBaseline(baselineFile), updated);
+        assert.deepEqual(updated.findings.map(f => [f.fingerprint, f.contractName]),
+            [['bbb', 'Token'], ['ddd', 'SimpleDAO']]);
+    });
+
+    it('should create a baseline file on the first update', () => {
+        const { baseline: created, kept } = baseline.updateBaseline(baselineFile,
+            makeIssues([message('aaa', 17)]), ['SimpleDAO']);
+        assert.equal(kept, 0);
+        assert.deepEqual(created.findings.map(f => f.fingerprint), ['aaa']);
+    });
+
+    it('should complain about missing or bad baseline files', () => {
+        assert.throws(() => baseline.loadBaseline(baselineFile), /Cannot read baseline file/);
+        fs.writeFileSync(baselineFile, '{"findings": {}}');
+        assert.throws(() => baseline.loadBaseline(baselineFile), /is not a version 1 baseline file/);
+    });
+
+    it('should filter out findings recorded in the baseline only', () => {
+        const issues = makeIssues([message('aaa', 17), message('bbb', 30, 1), message('aaa', 40), message('ccc', 50, 1)]);
+        const result = baseline.filterBaseline(issues, {
+            findings: [{ fingerprint: 'aaa' }, { fingerprint: 'ccc' }],
+        });
+        assert.deepEqual(result[0].messages.map(m => [m.fingerprint, m.line]), [['bbb', 30], ['aaa', 40]]);
+        assert.equal(result[0].errorCount, 1);
+        assert.equal(result[0].warningCount, 1);
+        assert.equal(issues[0].messages.length, 4);
+    });
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cache = require('../lib/cache');
+
+
+describe('cache', function() {
+    let cacheDir;
+
+    beforeEach(() => {
+        cacheDir = cache.getCacheDir(fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-cache-test-')));
+    });
+
+    afterEach(async () => {
+        await cache.clearCache(cacheDir);
+        if (fs.existsSync(cacheDir)) {
+            fs.rmdirSync(cacheDir);
+        }
+        fs.rmdirSync(path.dirname(cacheDir));
+    });
+
+    it('should key entries by payload and analysis mode', () => {
+        const data = { contractName: 'SimpleDAO', deployedBytecode: '0x6080' };
+        const key = cache.getCacheKey(data, 'full');
+        assert.ok(/^[0-9a-f]{64}$/.test(key));
+        assert.equal(cache.getCacheKey(Object.assign({}, data), 'full'), key);
+        assert.notEqual(cache.getCacheKey(data, 'quick'), key);
+        assert.notEqual(cache.getCacheKey({ contractName: 'SimpleDAO', deployedBytecode: '0x6081' }, 'full'), key);
+    });
+
+    it('should miss on an empty cache', async () => {
+        assert.equal(await cache.readCache(cacheDir, 'abc'), null);
+        assert.equal(await cache.clearCache(cacheDir), 0);
+    });
+
+    it('should store, read back and clear reports', async () => {
+        const reports = [{ issues: [], sourceList: ['a.sol'] }];
+        await cache.writeCache(cacheDir, 'abc', reports);
+        await cache.writeCache(cacheDir, 'def', []);
+        assert.deepEqual(await cache.readCache(cacheDir, 'abc'), reports);
+        assert.equal(await cache.clearCache(cacheDir), 2);
+        assert.equal(await cache.readCache(cacheDir, 'abc'), null);
+    });
+});
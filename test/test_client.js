@@ -0,0 +1,76 @@
+const assert = require('assert');
+const proxyquire = require('proxyquire');
+const sinon = require('sinon');
+
+
+describe('client', function() {
+    let MythXClient, login, refresh, requester, simpleRequester;
+
+    beforeEach(() => {
+        login = { do: sinon.stub().resolves({ access: 'access-1', refresh: 'refresh-1' }) };
+        refresh = { do: sinon.stub().resolves({ accessToken: 'access-2', refreshToken: 'refresh-2' }) };
+        requester = { do: sinon.stub().resolves('uuid-1') };
+        simpleRequester = { do: sinon.stub() };
+        ({ MythXClient } = proxyquire('../lib/client', {
+            'armlet/lib/login': login,
+            'armlet/lib/refresh': refresh,
+            'armlet/lib/requester': requester,
+            'armlet/lib/simpleRequester': simpleRequester,
+        }));
+    });
+
+    it('should log in before submitting an analysis', async () => {
+        const client = new MythXClient({ email: 'user@example.com', password: 'secret' }, 'https://mythx.example.com');
+        const options = { data: { deployedBytecode: '0x6080' }, clientToolName: 'truffle' };
+        assert.equal(await client.submit(options), 'uuid-1');
+        assert.ok(login.do.calledOnce);
+        assert.deepEqual(requester.do.firstCall.args.slice(0, 2), [options, 'access-1']);
+    });
+
+    it('should fetch the status and issues of an analysis', async () => {
+        const client = new MythXClient({ apiKey: 'key' }, 'https://mythx.example.com');
+        simpleRequester.do.resolves({ status: 'Finished' });
+        assert.deepEqual(await client.getStatus('uuid-1'), { status: 'Finished' });
+        await client.getIssues('uuid-1');
+        assert.ok(!login.do.called);
+        assert.deepEqual(simpleRequester.do.args.map(args => args[0]), [
+            { url: 'https://mythx.example.com/v1/analyses/uuid-1', accessToken: 'key', json: true },
+            { url: 'https://mythx.example.com/v1/analyses/uuid-1/issues', accessToken: 'key', json: true },
+        ]);
+    });
+
+    it('should refresh expired tokens once', async () => {
+        const client = new MythXClient({ email: 'user@example.com', password: 'secret' }, 'https://mythx.example.com');
+        const expired = Object.assign(new Error('Unauthorized'), { statusCode: 401 });
+        simpleRequester.do.onFirstCall().rejects(expired);
+        simpleRequester.do.onSecondCall().resolves({ status: 'Queued' });
+        assert.deepEqual(await client.getStatus('uuid-1'), { status: 'Queued' });
+        assert.deepEqual(refresh.do.firstCall.args.slice(0, 2), ['refresh-1', 'access-1']);
+        assert.equal(simpleRequester.do.secondCall.args[0].accessToken, 'access-2');
+        assert.equal(client.refreshToken, 'refresh-2');
+    });
+
+    it('should refresh tokens when a submission is refused', async () => {
+        const client = new MythXClient({ email: 'user@example.com', password: 'secret' }, 'https://mythx.example.com');
+        const options = { data: { deployedBytecode: '0x6080' } };
+        // requester tells of the status in the message only.
+        requester.do.onFirstCall().rejects(new Error('Failed to get response, status code 401'));
+        assert.equal(await client.submit(options), 'uuid-1');
+        assert.ok(refresh.do.calledOnce);
+        assert.equal(requester.do.secondCall.args[1], 'access-2');
+    });
+
+    it('should not refresh API keys', async () => {
+        const client = new MythXClient({ apiKey: 'key' }, 'https://mythx.example.com');
+        const expired = Object.assign(new Error('Unauthorized'), { statusCode: 401 });
+        simpleRequester.do.rejects(expired);
+        await assert.rejects(client.getStatus('uuid-1'), /Unauthorized/);
+        assert.ok(!refresh.do.called);
+        assert.ok(simpleRequester.do.calledOnce);
+    });
+
+    it('should not submit without bytecode', async () => {
+        const client = new MythXClient({ apiKey: 'key' });
+        await assert.rejects(client.submit({ data: {} }), /deployedBytecode/);
+    });
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const Configstore = require('configstore');
+const { Credentials, createPrompt } = require('../lib/credentials');
+
+
+describe('credentials', function() {
+    let tmpDir;
+    let store;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-credentials-test-'));
+        store = new Credentials(new Configstore('truffle-analyze-test', undefined, {
+            configPath: path.join(tmpDir, 'credentials.json'),
+        }));
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(store.path)) {
+            fs.unlinkSync(store.path);
+        }
+        fs.rmdirSync(tmpDir);
+    });
+
+    it('should store credentials in a file only the owner can read', () => {
+        fs.writeFileSync(store.path, '{}', { mode: 0o644 });
+        store.save({ email: 'user@example.com', password: 'secret', colour: 'red' });
+        assert.equal(fs.statSync(store.path).mode & 0o777, 0o600);
+        assert.deepEqual(store.load(), { email: 'user@example.com', password: 'secret' });
+    });
+
+    it('should remove stored credentials', () => {
+        assert.equal(store.clear(), false);
+        store.save({ apiKey: 'key' });
+        assert.equal(store.clear(), true);
+        assert.deepEqual(store.load(), {});
+    });
+
+    it('should give environment variables precedence over stored credentials', () => {
+        store.save({ apiKey: 'stored-key' });
+        assert.deepEqual(store.getArmletAuth({ MYTHX_API_KEY: 'env-key' }),
+            { auth: { apiKey: 'env-key' }, source: 'environment' });
+        assert.deepEqual(store.getArmletAuth({ MYTHX_PASSWORD: 'pw', MYTHX_EMAIL: 'env@example.com' }),
+            { auth: { password: 'pw', email: 'env@example.com' }, source: 'environment' });
+        // A partial environment isn't completed from the store.
+        assert.throws(() => store.getArmletAuth({ MYTHX_ETH_ADDRESS: '0x1234' }),
+            /You need to set environment variable MYTHX_PASSWORD/);
+    });
+
+    it('should fall back to stored credentials', () => {
+        store.save({ ethAddress: '0x1234', password: 'pw' });
+        assert.deepEqual(store.getArmletAuth({}),
+            { auth: { ethAddress: '0x1234', password: 'pw' }, source: store.path });
+        store.clear();
+        assert.throws(() => store.getArmletAuth({}), /truffle run analyze login/);
+    });
+
+    it('should read answers piped in at once', async () => {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        let written = '';
+        output.on('data', chunk => { written += chunk; });
+        const prompt = createPrompt({ input, output });
+        input.end('\nuser@example.com\nsecret\n');
+        assert.equal(await prompt.ask('API key: ', { secret: true }), '');
+        assert.equal(await prompt.ask('Email: '), 'user@example.com');
+        assert.equal(await prompt.ask('Password: ', { secret: true }), 'secret');
+        assert.equal(await prompt.ask('More: '), '');
+        prompt.close();
+        assert.equal(written, 'API key: Email: Password: More: ');
+    });
+});
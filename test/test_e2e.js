@@ -0,0 +1,249 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const helpers = require('../helpers');
+const pluginAnalyze = require('../index');
+const { MockMythX } = require('../tools/mock-mythx');
+
+
+// Runs fn with console.log captured, so that mocha's own output is left alone.
+async function captureLog(fn) {
+    const lines = [];
+    const stub = sinon.stub(console, 'log').callsFake(line => lines.push(line));
+    try {
+        return { result: await fn(), output: lines.join('\n') };
+    } finally {
+        stub.restore();
+    }
+}
+
+// An HTTP proxy that only tunnels, as corporate proxies do for HTTPS.
+function startTunnelingProxy() {
+    const proxy = http.createServer((req, res) => {
+        res.writeHead(405);
+        res.end();
+    });
+    proxy.tunnels = [];
+    proxy.on('connect', (req, clientSocket, head) => {
+        proxy.tunnels.push(req.url);
+        const [ host, port ] = req.url.split(':');
+        const serverSocket = net.connect(port, host, () => {
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            serverSocket.write(head);
+            serverSocket.pipe(clientSocket);
+            clientSocket.pipe(serverSocket);
+        });
+        serverSocket.on('error', () => clientSocket.destroy());
+        clientSocket.on('error', () => serverSocket.destroy());
+    });
+    return new Promise(resolve => proxy.listen(0, '127.0.0.1', () => resolve(proxy)));
+}
+
+describe('end-to-end with a mock MythX API', function() {
+    this.timeout(10000);
+
+    const envNames = ['MYTHX_API_KEY', 'MYTHX_PASSWORD', 'MYTHX_EMAIL', 'MYTHX_ETH_ADDRESS'];
+    let mock, apiUrl, tmpDir, initialEnv;
+
+    // Like MythX, echo the submitted source list.
+    const reports = data => [{
+        sourceFormat: 'evm-byzantium-bytecode',
+        sourceList: data.sourceList,
+        sourceType: 'raw-bytecode',
+        issues: [{
+            description: {
+                head: 'A call to a user-supplied address is executed.',
+                tail: 'The callee address of an external message call can be set by the caller.',
+            },
+            locations: [{ sourceMap: '444:1:0' }],
+            extra: {
+                testCases: [{
+                    steps: [{
+                        // withdraw(1000)
+                        input: '0x2e1a7d4d00000000000000000000000000000000000000000000000000000000000003e8',
+                        value: '0x0',
+                        origin: '0xaffeaffeaffeaffeaffeaffeaffeaffeaffeaffe',
+                        address: '0x0901d12ebe1b195e5aa8748e62bd7734ae19b51f',
+                    }],
+                }],
+            },
+            severity: 'High',
+            swcID: 'SWC-107',
+            swcTitle: 'Reentrancy',
+        }],
+        meta: {},
+    }];
+
+    const getConfig = (command, extra) => Object.assign({
+        _: command ? ['analyze', command] : ['analyze'],
+        compilers: {},
+        contracts_build_directory: path.join(__dirname, 'sample-truffle', 'simple_dao', 'build', 'contracts'),
+        working_directory: tmpDir,
+        apiUrl,
+        cache: false,
+        style: 'json',
+    }, extra);
+
+    before(async () => {
+        mock = new MockMythX({ reports, apiKeys: ['test-api-key'] });
+        apiUrl = await mock.listen();
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-e2e-test-'));
+        initialEnv = {};
+        envNames.forEach(name => {
+            initialEnv[name] = process.env[name];
+            delete process.env[name];
+        });
+        // The build files are checked in; there is nothing to compile.
+        sinon.stub(helpers, 'contractsCompile').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        process.exitCode = undefined;
+        envNames.forEach(name => {
+            if (initialEnv[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = initialEnv[name];
+            }
+        });
+        const submissionsFile = path.join(tmpDir, '.mythx-submissions.json');
+        if (fs.existsSync(submissionsFile)) {
+            fs.unlinkSync(submissionsFile);
+        }
+        fs.rmdirSync(tmpDir);
+    });
+
+    it('should analyze and report issues with an API key', async () => {
+        process.env.MYTHX_API_KEY = 'test-api-key';
+        const { result, output } = await captureLog(() => pluginAnalyze(getConfig(null, { failOn: 'high' })));
+
+        assert.equal(result, helpers.exitCodes.issuesFound);
+        const [ issue ] = JSON.parse(output);
+        assert.equal(path.basename(issue.filePath), 'simple_dao.sol');
+        assert.deepEqual(issue.messages.map(m => [m.ruleId, m.mythXseverity]), [['SWC-107', 'High']]);
+        const [ analysis ] = Object.keys(mock.analyses).map(uuid => mock.analyses[uuid]);
+        assert.equal(analysis.data.contractName, 'SimpleDAO');
+    });
+
+    it('should submit, then report with a password login', async () => {
+        process.env.MYTHX_EMAIL = 'user@example.com';
+        process.env.MYTHX_PASSWORD = 'secret';
+
+        const submitted = await captureLog(() => pluginAnalyze(getConfig('submit')));
+        assert.equal(submitted.result, helpers.exitCodes.ok);
+        const [ uuid, contractName ] = submitted.output.split(' ');
+        assert.ok(uuid in mock.analyses);
+        assert.equal(contractName, 'SimpleDAO');
+
+        const status = await captureLog(() => pluginAnalyze(getConfig('status')));
+        assert.equal(status.output, `${uuid} Finished SimpleDAO`);
+
+        const report = await captureLog(() => pluginAnalyze(getConfig('report')));
+        assert.equal(report.result, helpers.exitCodes.ok);
+        assert.deepEqual(JSON.parse(report.output)[0].messages.map(m => m.ruleId), ['SWC-107']);
+    });
+
+    it('should refresh expired tokens', async () => {
+        process.env.MYTHX_EMAIL = 'user@example.com';
+        process.env.MYTHX_PASSWORD = 'secret';
+        await captureLog(() => pluginAnalyze(getConfig('submit')));
+
+        // Fetching the status uses up the token; fetching the issues needs a new one.
+        mock.tokenUses = 1;
+        try {
+            const report = await captureLog(() => pluginAnalyze(getConfig('report')));
+            assert.equal(report.result, helpers.exitCodes.ok);
+            assert.deepEqual(JSON.parse(report.output)[0].messages.map(m => m.ruleId), ['SWC-107']);
+        } finally {
+            mock.tokenUses = Infinity;
+        }
+    });
+
+    it('should refresh tokens expiring between submissions', async () => {
+        process.env.MYTHX_EMAIL = 'user@example.com';
+        process.env.MYTHX_PASSWORD = 'secret';
+        const buildDir = path.join(tmpDir, 'contracts');
+        const buildFiles = [
+            path.join(__dirname, 'sample-truffle', 'simple_dao', 'build', 'contracts', 'SimpleDAO.json'),
+            path.join(__dirname, 'sample-truffle', 'storage_arrays', 'build', 'contracts', 'PublicStorageArray.json'),
+        ].map(file => {
+            const copy = path.join(buildDir, path.basename(file));
+            fs.mkdirSync(buildDir, { recursive: true });
+            fs.copyFileSync(file, copy);
+            return copy;
+        });
+        // The first submission uses up the token; the second one needs a new one.
+        mock.tokenUses = 1;
+        try {
+            const { result, output } = await captureLog(() => pluginAnalyze(getConfig('submit', {
+                contracts_build_directory: buildDir,
+                concurrency: 1,
+            })));
+            assert.equal(result, helpers.exitCodes.ok);
+            assert.deepEqual(output.split('\n').map(line => line.split(' ')[1]).sort(),
+                ['PublicStorageArray', 'SimpleDAO']);
+        } finally {
+            mock.tokenUses = Infinity;
+            buildFiles.forEach(file => fs.unlinkSync(file));
+            fs.rmdirSync(buildDir);
+        }
+    });
+
+    it('should write a test reproducing an issue', async () => {
+        process.env.MYTHX_API_KEY = 'test-api-key';
+        const analyzed = await captureLog(() => pluginAnalyze(getConfig()));
+        const [ { fingerprint } ] = JSON.parse(analyzed.output)[0].messages;
+
+        const reproDir = path.join(tmpDir, 'test', 'mythx');
+        const { result, output } = await captureLog(() => pluginAnalyze(getConfig('repro', {
+            _: ['analyze', 'repro', fingerprint.slice(0, 6)],
+        })));
+        try {
+            assert.equal(result, helpers.exitCodes.ok);
+            assert.equal(output, path.join(reproDir, `SimpleDAO-SWC-107-${fingerprint.slice(0, 8)}.js`));
+            assert.ok(fs.readFileSync(output, 'utf8').indexOf(
+                'await instance.withdraw(\'1000\', { from: accounts[1] });') >= 0);
+        } finally {
+            fs.readdirSync(reproDir).forEach(file => fs.unlinkSync(path.join(reproDir, file)));
+            fs.rmdirSync(reproDir);
+            fs.rmdirSync(path.dirname(reproDir));
+        }
+    });
+
+    it('should show versions of the configured endpoint', async () => {
+        const { output } = await captureLog(() => pluginAnalyze(getConfig(null, {
+            version: true,
+            apiUrl: undefined,
+            analyze: { apiUrl: `${apiUrl}/` },
+        })));
+        assert.ok(output.indexOf(`MythX API ${apiUrl}: api: mock, maru: mock, mythril: mock`) >= 0);
+    });
+
+    it('should connect through a proxy', async () => {
+        process.env.MYTHX_API_KEY = 'test-api-key';
+        const proxy = await startTunnelingProxy();
+        const proxyUrl = `http://127.0.0.1:${proxy.address().port}`;
+        try {
+            const { result } = await captureLog(() => pluginAnalyze(getConfig(null, { proxy: proxyUrl })));
+            assert.equal(result, helpers.exitCodes.ok);
+            assert.ok(proxy.tunnels.length > 0);
+            assert.ok(proxy.tunnels.every(target => target === apiUrl.replace('http://', '')));
+            // Requests made after the command don't go through the proxy.
+            assert.ok(!http.globalAgent.hasOwnProperty('addRequest'));
+            assert.ok(!https.globalAgent.hasOwnProperty('addRequest'));
+        } finally {
+            await new Promise(resolve => proxy.close(resolve));
+        }
+    });
+});
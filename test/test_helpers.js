@@ -6,6 +6,12 @@ const armlet = require('armlet');
 const sinon = require('sinon');
 const trufstuf = require('../lib/trufstuf');
 const mythx = require('../lib/mythx');
+const baseline = require('../lib/baseline');
+const cache = require('../lib/cache');
+const credentials = require('../lib/credentials');
+const { MythXClient } = require('../lib/client');
+const os = require('os');
+const path = require('path');
 const rewiredHelpers = rewire('../helpers');
 const util = require('util');
 
@@ -70,12 +76,143 @@ describe('helpers.js', function() {
             }
         });
 
+        it('should validate the --fail-on threshold', () => {
+            const getFailOnThreshold = rewiredHelpers.__get__('getFailOnThreshold');
+            assert.equal(getFailOnThreshold(undefined), 'none');
+            assert.equal(getFailOnThreshold('High'), 'high');
+            assert.throws(() => getFailOnThreshold('critical'), /Invalid --fail-on value "critical"/);
+        });
+
+        it('should work out the exit code from issue severities and errors', () => {
+            const getExitCode = rewiredHelpers.__get__('getExitCode');
+            const issues = [{
+                filePath: 'contract.sol',
+                messages: [{ mythXseverity: 'Low' }, { mythXseverity: 'Medium' }],
+            }];
+            assert.equal(getExitCode(issues, [], 'none'), 0);
+            assert.equal(getExitCode(issues, [], 'high'), 0);
+            assert.equal(getExitCode(issues, [], 'medium'), 1);
+            assert.equal(getExitCode(issues, [], 'low'), 1);
+            assert.equal(getExitCode([], [], 'low'), 0);
+            assert.equal(getExitCode([], [new Error('timeout')], 'none'), 2);
+            assert.equal(getExitCode(issues, [new Error('timeout')], 'low'), 2);
+        });
+
+        it('should drop issues below --min-severity or with an ignored SWC id', () => {
+            const filterIssues = rewiredHelpers.__get__('filterIssues');
+            const issues = [{
+                filePath: 'contract.sol',
+                errorCount: 2,
+                warningCount: 1,
+                messages: [
+                    { ruleId: 'SWC-101', mythXseverity: 'High', severity: 2 },
+                    { ruleId: 'SWC-107', mythXseverity: 'Medium', severity: 2 },
+                    { ruleId: 'SWC-103', mythXseverity: 'Low', severity: 1 },
+                ],
+            }];
+            assert.strictEqual(filterIssues({}, issues), issues);
+            let result = filterIssues({ minSeverity: 'medium' }, issues);
+            assert.deepEqual(result[0].messages.map(m => m.ruleId), ['SWC-101', 'SWC-107']);
+            assert.equal(result[0].errorCount, 2);
+            assert.equal(result[0].warningCount, 0);
+            result = filterIssues({ ignoreSwc: 'SWC-101,SWC-103' }, issues);
+            assert.deepEqual(result[0].messages.map(m => m.ruleId), ['SWC-107']);
+            assert.throws(() => filterIssues({ minSeverity: 'none' }, issues), /Invalid --min-severity value "none"/);
+        });
+
+        it('should leave issues alone without baseline options', () => {
+            const applyBaseline = rewiredHelpers.__get__('applyBaseline');
+            const issues = [{ filePath: 'contract.sol', messages: [{ fingerprint: 'aaa' }] }];
+            assert.strictEqual(applyBaseline({}, issues, []), issues);
+        });
+
+        it('should update a baseline and report nothing new', () => {
+            const applyBaseline = rewiredHelpers.__get__('applyBaseline');
+            const updateStub = sinon.stub(baseline, 'updateBaseline').returns({
+                baseline: { findings: [{ fingerprint: 'aaa' }, { fingerprint: 'bbb' }] },
+                kept: 0,
+            });
+            const logger = { log: sinon.stub(), error: sinon.stub() };
+            const issues = [{ filePath: 'contract.sol', messages: [{ fingerprint: 'aaa', severity: 2 }] }];
+            // Findings below --min-severity are recorded all the same.
+            const allIssues = [{ filePath: 'contract.sol', messages: [{ fingerprint: 'aaa', severity: 2 }, { fingerprint: 'bbb' }] }];
+            const objects = [{ buildObj: { contractName: 'SimpleDAO' } }];
+            const result = applyBaseline({ updateBaseline: true, working_directory: '/project', logger },
+                issues, [], objects, allIssues);
+            assert.ok(updateStub.calledWith('/project/.mythx-baseline.json', allIssues, ['SimpleDAO']));
+            assert.ok(logger.log.calledWith('Recorded 2 finding(s) in baseline file /project/.mythx-baseline.json.'));
+            assert.equal(result[0].messages.length, 0);
+            updateStub.restore();
+        });
+
+        it('should report everything when analyses failed before there was a baseline', () => {
+            const applyBaseline = rewiredHelpers.__get__('applyBaseline');
+            const workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-helpers-test-'));
+            const logger = { log: sinon.stub(), error: sinon.stub() };
+            const issues = [{ filePath: 'contract.sol', messages: [{ fingerprint: 'aaa', severity: 2 }] }];
+            try {
+                const result = applyBaseline({ updateBaseline: true, working_directory: workingDirectory, logger },
+                    issues, [new Error('timeout')]);
+                assert.strictEqual(result, issues);
+                assert.ok(logger.error.calledWithMatch(/Not updating baseline file/));
+                assert.ok(!fs.existsSync(path.join(workingDirectory, '.mythx-baseline.json')));
+            } finally {
+                fs.rmdirSync(workingDirectory);
+            }
+        });
+
+        it('should not update a baseline when analyses failed', () => {
+            const applyBaseline = rewiredHelpers.__get__('applyBaseline');
+            const workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-helpers-test-'));
+            const baselineFile = path.join(workingDirectory, 'b.json');
+            fs.writeFileSync(baselineFile, JSON.stringify({ version: 1, findings: [{ fingerprint: 'aaa' }] }));
+            const saveStub = sinon.stub(baseline, 'saveBaseline');
+            const logger = { log: sinon.stub(), error: sinon.stub() };
+            const issues = [{ filePath: 'contract.sol', messages: [{ fingerprint: 'aaa', severity: 2 }, { fingerprint: 'bbb' }] }];
+            try {
+                const result = applyBaseline({ updateBaseline: true, baseline: 'b.json', working_directory: workingDirectory, logger },
+                    issues, [new Error('timeout')]);
+                assert.ok(!saveStub.called);
+                assert.ok(logger.error.called);
+                assert.deepEqual(result[0].messages.map(m => m.fingerprint), ['bbb']);
+            } finally {
+                saveStub.restore();
+                fs.unlinkSync(baselineFile);
+                fs.rmdirSync(workingDirectory);
+            }
+        });
+
+        it('should load plugin formatters before ESLint ones', () => {
+            const getFormatter = rewiredHelpers.__get__('getFormatter');
+            assert.strictEqual(getFormatter('sarif'), require('../lib/formatters/sarif'));
+            assert.strictEqual(getFormatter('unix'), require('eslint/lib/formatters/unix'));
+            assert.throws(() => getFormatter('no-such-style'), /problem loading formatter option/);
+            assert.throws(() => getFormatter('common'), /common is not a report style/);
+        });
+
+        it('should find issues for repro by fingerprint prefix', () => {
+            const findIssue = rewiredHelpers.__get__('findIssue');
+            const obj = {
+                getEslintIssues: () => [{
+                    filePath: '/project/contracts/simple_dao.sol',
+                    messages: [{ fingerprint: 'abc123' }, { fingerprint: 'abd456' }, { fingerprint: 'abc123' }],
+                }],
+            };
+            const found = findIssue([obj], 'abc');
+            assert.strictEqual(found.obj, obj);
+            assert.equal(found.sourceName, 'simple_dao.sol');
+            assert.equal(found.message.fingerprint, 'abc123');
+            assert.throws(() => findIssue([obj], 'ab'), /"ab" is ambiguous; it could be any of: abc123, abd456/);
+            assert.throws(() => findIssue([obj], 'ff'), /No MythX issue has id "ff"/);
+        });
+
     });
 
     describe('Armlet authentication analyze', () => {
         let helpers;
         let readFileStub;
         let getTruffleBuildJsonFilesStub;
+        let loadCredentialsStub;
         let initialEnVars;
 
         const buildJson = JSON.stringify({
@@ -111,6 +248,9 @@ describe('helpers.js', function() {
             delete process.env.MYTHX_EMAIL;
             delete process.env.MYTHX_ETH_ADDRESS;
 
+            // Don't pick up credentials stored by "truffle run analyze login".
+            loadCredentialsStub = sinon.stub(credentials.Credentials.prototype, 'load').returns({});
+
             getTruffleBuildJsonFilesStub = sinon
                 .stub(trufstuf, 'getTruffleBuildJsonFiles')
                 .resolves(['/test/build/contracts/TestContract.json', '/test/build/contracts/OtherContract.json']);
@@ -137,6 +277,7 @@ describe('helpers.js', function() {
             initialEnVars = null;
             readFileStub.restore();
             getTruffleBuildJsonFilesStub.restore();
+            loadCredentialsStub.restore();
         });
 
         it('should throw exception when no password or API key privided', async () => {
@@ -163,6 +304,40 @@ describe('helpers.js', function() {
             delete process.env.MYTHX_PASSWORD;
         });
 
+        it('should use stored credentials when no environment variables are set', async () => {
+            loadCredentialsStub.returns({ email: 'user@example.com', password: 'secret' });
+            const clientStub = sinon.stub().throws(new Error('stop here'));
+            const restoreClient = rewiredHelpers.__set__('MythXClient', clientStub);
+            try {
+                await assertThrowsAsync(
+                    async () => {
+                        await rewiredHelpers.analyze({
+                            _: ['analyze'],
+                            working_drectory: '/tests',
+                            contracts_build_directory: '/tests/build/contracts',
+                        });
+                    }, /stop here/);
+                assert.deepEqual(clientStub.firstCall.args[0], {
+                    clientToolName: 'truffle',
+                    email: 'user@example.com',
+                    password: 'secret',
+                });
+            } finally {
+                restoreClient();
+            }
+        });
+
+        it('should show the account in use without secrets', async () => {
+            process.env.MYTHX_API_KEY = 'abcdefgh12345678';
+            const logger = { log: sinon.spy() };
+            await helpers.whoami({ logger });
+            const output = logger.log.firstCall.args[0];
+            assert.ok(output.indexOf('5678') >= 0);
+            assert.ok(output.indexOf('abcdefgh') < 0);
+            assert.ok(output.indexOf('environment') >= 0);
+            delete process.env.MYTHX_API_KEY;
+        });
+
         it('it should group eslint issues by filenames', () => {
             const issues = [{
                 errorCount: 1,
@@ -220,22 +395,25 @@ describe('helpers.js', function() {
     });
 
     describe('doAnalysis', () => {
-        let armletClient, stubAnalyze;
+        let armletClient, stubSubmit, stubGetStatus, stubAnalyze;
 
         beforeEach(() => {
-            armletClient = new armlet.Client({ apiKey: 'test' });
-            stubAnalyze = sinon.stub(armletClient, 'analyze');
+            armletClient = new MythXClient({ apiKey: 'test' });
+            stubSubmit = sinon.stub(armletClient, 'submit').resolves('uuid-1');
+            stubGetStatus = sinon.stub(armletClient, 'getStatus').resolves({ uuid: 'uuid-1', status: 'Finished' });
+            stubAnalyze = sinon.stub(armletClient, 'getIssues');
         });
 
         afterEach(() => {
-            stubAnalyze.restore();
-            stubAnalyze = null;
+            sinon.restore();
+            rewiredHelpers.__set__('analysisPollInterval', 1000);
         });
 
         it('should return 1 mythXIssues object and no errors', async () => {
             const doAnalysis = rewiredHelpers.__get__('doAnalysis');
             const config = {
                 _: [],
+                cache: false,
                 debug: true,
                 logger: {},
                 style: 'test-style',
@@ -272,19 +450,22 @@ describe('helpers.js', function() {
             }]);
             const results = await doAnalysis(armletClient, config, jsonFiles);
             mythXInput.analysisMode = 'full';
-            assert.ok(stubAnalyze.calledWith({
+            assert.ok(stubSubmit.calledWith({
                 data: mythXInput,
                 timeout: 120000,
                 clientToolName: 'truffle',
             }));
+            assert.ok(stubAnalyze.calledWith('uuid-1'));
             assert.equal(results.errors.length, 0);
             assert.equal(results.objects.length, 1);
+            assert.equal(results.objects[0].uuid, 'uuid-1');
         });
 
         it('should return 0 mythXIssues objects and 1 error', async () => {
             const doAnalysis = rewiredHelpers.__get__('doAnalysis');
             const config = {
                 _: [],
+                cache: false,
                 debug: true,
                 logger: {},
                 style: 'test-style',
@@ -292,12 +473,12 @@ describe('helpers.js', function() {
             const jsonFiles = [
                 `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
             ];
-            stubAnalyze.throws();
+            stubSubmit.throws();
             const simpleDaoJSON = await util.promisify(fs.readFile)(jsonFiles[0], 'utf8');
             const mythXInput = mythx.truffle2MythXJSON(JSON.parse(simpleDaoJSON));
             const results = await doAnalysis(armletClient, config, jsonFiles);
             mythXInput.analysisMode = 'full';
-            assert.ok(stubAnalyze.calledWith({
+            assert.ok(stubSubmit.calledWith({
                 data: mythXInput,
                 timeout: 120000,
                 clientToolName: 'truffle',
@@ -310,6 +491,7 @@ describe('helpers.js', function() {
             const doAnalysis = rewiredHelpers.__get__('doAnalysis');
             const config = {
                 _: [],
+                cache: false,
                 debug: true,
                 logger: {},
                 style: 'test-style',
@@ -321,8 +503,8 @@ describe('helpers.js', function() {
 
             const simpleDaoJSON = await util.promisify(fs.readFile)(jsonFiles[0], 'utf8');
             const mythXInput = mythx.truffle2MythXJSON(JSON.parse(simpleDaoJSON));
-            stubAnalyze.onFirstCall().throws();
-            stubAnalyze.onSecondCall().resolves([{
+            stubSubmit.onFirstCall().throws();
+            stubAnalyze.resolves([{
                 'sourceFormat': 'evm-byzantium-bytecode',
                 'sourceList': [
                     `${__dirname}/sample-truffle/simple_dao/contracts/SimpleDAO.sol`
@@ -348,7 +530,7 @@ describe('helpers.js', function() {
             }]);
             const results = await doAnalysis(armletClient, config, jsonFiles);
             mythXInput.analysisMode = 'full';
-            assert.ok(stubAnalyze.calledWith({
+            assert.ok(stubSubmit.calledWith({
                 data: mythXInput,
                 timeout: 120000,
                 clientToolName: 'truffle',
@@ -357,10 +539,223 @@ describe('helpers.js', function() {
             assert.equal(results.objects.length, 1);
         });
 
+        it('should reuse cached reports for unchanged contracts', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-helpers-test-'));
+            const config = {
+                _: [],
+                debug: true,
+                logger: { log: sinon.stub() },
+                working_directory: workingDirectory,
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            stubAnalyze.resolves([{
+                'sourceFormat': 'text',
+                'sourceList': [
+                    `${__dirname}/sample-truffle/simple_dao/contracts/simple_dao.sol`
+                ],
+                'sourceType': 'solidity-file',
+                'issues': [],
+            }]);
+
+            let results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(results.objects.length, 1);
+            assert.equal(stubAnalyze.callCount, 1);
+
+            results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(results.objects.length, 1);
+            assert.equal(results.objects[0].issues.length, 1);
+            assert.equal(stubAnalyze.callCount, 1);
+            assert.ok(config.logger.log.calledWithMatch(/Using cached MythX report for SimpleDAO/));
+
+            config.cache = false;
+            await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubAnalyze.callCount, 2);
+
+            const cacheDir = cache.getCacheDir(workingDirectory);
+            assert.equal(await cache.clearCache(cacheDir), 1);
+            fs.rmdirSync(cacheDir);
+            fs.rmdirSync(workingDirectory);
+        });
+
+        it('should add the findings of project rules to MythX reports', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-helpers-test-'));
+            const ruleFile = path.join(workingDirectory, 'no-withdraw.js');
+            fs.writeFileSync(ruleFile, `module.exports = {
+    meta: { id: 'no-withdraw', message: 'No withdraw().' },
+    create: context => ({
+        FunctionDefinition: node => node.name === 'withdraw' && context.report({ node }),
+    }),
+};
+`);
+            const config = {
+                _: [],
+                cache: false,
+                logger: {},
+                working_directory: workingDirectory,
+                rules: ['no-withdraw.js'],
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            stubAnalyze.resolves([{
+                'sourceFormat': 'text',
+                'sourceList': [
+                    `${__dirname}/sample-truffle/simple_dao/contracts/simple_dao.sol`
+                ],
+                'sourceType': 'solidity-file',
+                'issues': [],
+            }]);
+            try {
+                const results = await doAnalysis(armletClient, config, jsonFiles);
+                assert.equal(results.objects.length, 1);
+                const messages = results.objects[0].getEslintIssues()
+                    .reduce((acc, { messages }) => acc.concat(messages), []);
+                assert.deepEqual(messages.map(m => [m.ruleId, m.message]),
+                    [['no-withdraw', 'No withdraw().']]);
+            } finally {
+                fs.unlinkSync(ruleFile);
+                fs.rmdirSync(workingDirectory);
+            }
+        });
+
+        it('should retry transient failures and report retry counts', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                cache: false,
+                retries: 2,
+                retryDelay: 0,
+                concurrency: 1,
+                logger: {},
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            const rateLimited = () => new Error('Failed to get response, status code 429');
+            stubSubmit.onCall(0).rejects(rateLimited());
+            stubSubmit.onCall(1).resolves('uuid-1');
+            stubSubmit.onCall(2).rejects(rateLimited());
+            stubSubmit.onCall(3).rejects(rateLimited());
+            stubSubmit.onCall(4).rejects(rateLimited());
+            stubAnalyze.resolves([]);
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubSubmit.callCount, 5);
+            assert.equal(results.objects.length, 1);
+            assert.equal(results.objects[0].retries, 1);
+            assert.equal(results.errors.length, 1);
+            assert.equal(results.errors[0].retries, 2);
+            assert.equal(results.errors[0].contractName, 'SimpleDAO');
+        });
+
+        it('should not submit again when polling or fetching issues fails', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            rewiredHelpers.__set__('analysisPollInterval', 0);
+            const config = { _: [], cache: false, retries: 2, retryDelay: 0 };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            const serverError = Object.assign(new Error('received error 500 from API server'), { statusCode: 500 });
+            stubGetStatus.onCall(0).resolves({ uuid: 'uuid-1', status: 'Queued' });
+            stubGetStatus.onCall(1).rejects(serverError);
+            stubGetStatus.onCall(2).resolves({ uuid: 'uuid-1', status: 'In progress' });
+            stubAnalyze.onCall(0).rejects(serverError);
+            stubAnalyze.onCall(1).resolves([]);
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubSubmit.callCount, 1);
+            assert.equal(stubGetStatus.callCount, 4);
+            assert.ok(stubGetStatus.alwaysCalledWith('uuid-1'));
+            assert.equal(stubAnalyze.callCount, 2);
+            assert.equal(results.errors.length, 0);
+            assert.equal(results.objects[0].retries, 2);
+        });
+
+        it('should fail analyses that end in error or take too long', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            rewiredHelpers.__set__('analysisPollInterval', 0);
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            stubGetStatus.resolves({ uuid: 'uuid-1', status: 'Error', error: 'Compilation failed' });
+            let results = await doAnalysis(armletClient, { _: [], cache: false }, jsonFiles);
+            assert.equal(results.errors[0].message, 'MythX analysis uuid-1 failed: Compilation failed');
+
+            stubGetStatus.resolves({ uuid: 'uuid-1', status: 'In progress' });
+            results = await doAnalysis(armletClient, { _: [], cache: false, timeout: 0.01 }, jsonFiles);
+            assert.equal(results.errors[0].message,
+                'MythX analysis uuid-1 did not finish in 10 ms; its status is "In progress".');
+            assert.equal(stubSubmit.callCount, 2);
+            assert.ok(!stubAnalyze.called);
+        });
+
+        it('should reject a bad concurrency option', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            await assertThrowsAsync(async () => {
+                await doAnalysis(armletClient, { _: [], concurrency: 'lots' }, []);
+            }, /Invalid --concurrency value "lots"/);
+            await assertThrowsAsync(async () => {
+                await doAnalysis(armletClient, { _: [], concurrency: 0 }, []);
+            }, /Invalid --concurrency value "0"/);
+        });
+
+        it('should honor --mode', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            stubAnalyze.resolves([]);
+
+            await doAnalysis(armletClient, { _: [], cache: false, mode: 'Quick' }, jsonFiles);
+            assert.equal(stubSubmit.firstCall.args[0].data.analysisMode, 'quick');
+        });
+
+        it('should pick analysis modes per contract', () => {
+            const getAnalysisMode = rewiredHelpers.__get__('getAnalysisMode');
+            const options = require('../lib/options');
+            const analyze = {
+                mode: 'quick',
+                modes: { Token: 'full', 'Vault*': 'full' },
+            };
+            const config = options.applyConfigDefaults({ analyze });
+            assert.equal(getAnalysisMode(config, 'MockToken'), 'quick');
+            assert.equal(getAnalysisMode(config, 'Token'), 'full');
+            assert.equal(getAnalysisMode(config, 'VaultV2'), 'full');
+            assert.equal(getAnalysisMode({}, 'Token'), 'full');
+
+            // --mode applies to every contract.
+            const cliConfig = options.applyConfigDefaults({ mode: 'quick', analyze });
+            assert.equal(getAnalysisMode(cliConfig, 'Token'), 'quick');
+            assert.throws(() => getAnalysisMode({ mode: 'deep' }, 'Token'),
+                /Invalid --mode value "deep"; expected one of: quick, full./);
+        });
+
+        it('should skip contracts matching --exclude', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                cache: false,
+                exclude: 'Mock*,Simple*',
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.ok(!stubSubmit.called);
+            assert.equal(results.objects.length, 0);
+        });
+
         it('should skip unwanted smart contract', async () => {
             const doAnalysis = rewiredHelpers.__get__('doAnalysis');
             const config = {
                 _: [],
+                cache: false,
                 debug: true,
                 logger: {},
                 style: 'test-style',
@@ -370,9 +765,95 @@ describe('helpers.js', function() {
             ];
 
             const results = await doAnalysis(armletClient, config, jsonFiles, ['UnkonwnContract']);
-            assert.ok(!stubAnalyze.called);
+            assert.ok(!stubSubmit.called);
+            assert.equal(results.errors.length, 0);
+            assert.equal(results.objects.length, 0);
+        });
+    });
+
+    describe('submit and report', () => {
+        const simpleDaoFile = `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`;
+        const reports = [{
+            'sourceFormat': 'evm-byzantium-bytecode',
+            'sourceList': [
+                `${__dirname}/sample-truffle/simple_dao/contracts/SimpleDAO.sol`
+            ],
+            'sourceType': 'raw-bytecode',
+            'issues': [{
+                'description': {
+                    'head': 'Head message',
+                    'tail': 'Tail message'
+                },
+                'locations': [{
+                    'sourceMap': '444:1:0'
+                }],
+                'severity': 'High',
+                'swcID': 'SWC-000',
+                'swcTitle': 'Test Title'
+            }],
+            'meta': {}
+        }];
+        let client, tmpDir;
+
+        beforeEach(() => {
+            client = new MythXClient({ apiKey: 'test' });
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-submit-test-'));
+        });
+
+        afterEach(async () => {
+            await cache.clearCache(cache.getCacheDir(tmpDir));
+            if (fs.existsSync(cache.getCacheDir(tmpDir))) {
+                fs.rmdirSync(cache.getCacheDir(tmpDir));
+            }
+            fs.rmdirSync(tmpDir);
+        });
+
+        it('should record the UUID of each submitted contract', async () => {
+            const doSubmit = rewiredHelpers.__get__('doSubmit');
+            const stubSubmit = sinon.stub(client, 'submit').resolves('uuid-1');
+
+            const results = await doSubmit(client, { _: [] }, [simpleDaoFile]);
+            const data = mythx.truffle2MythXJSON(JSON.parse(fs.readFileSync(simpleDaoFile, 'utf8')));
+            data.analysisMode = 'full';
+            assert.deepEqual(stubSubmit.firstCall.args[0].data, data);
             assert.equal(results.errors.length, 0);
+            assert.equal(results.submissions.length, 1);
+            const { uuid, contractName, cacheKey } = results.submissions[0];
+            assert.deepEqual({ uuid, contractName, cacheKey },
+                { uuid: 'uuid-1', contractName: 'SimpleDAO', cacheKey: cache.getCacheKey(data, 'full') });
+        });
+
+        it('should fetch and cache reports of finished analyses', async () => {
+            const doSubmit = rewiredHelpers.__get__('doSubmit');
+            const doReport = rewiredHelpers.__get__('doReport');
+            sinon.stub(client, 'submit').resolves('uuid-1');
+            sinon.stub(client, 'getStatus').resolves({ uuid: 'uuid-1', status: 'Finished' });
+            const stubGetIssues = sinon.stub(client, 'getIssues').resolves(reports);
+            const config = { _: [], working_directory: tmpDir };
+
+            const { submissions } = await doSubmit(client, config, [simpleDaoFile]);
+            const results = await doReport(client, config, [simpleDaoFile], submissions);
+            assert.ok(stubGetIssues.calledWith('uuid-1'));
+            assert.equal(results.errors.length, 0);
+            assert.equal(results.objects.length, 1);
+            assert.equal(results.objects[0].issues[0].issues.length, 1);
+            assert.deepEqual(await cache.readCache(cache.getCacheDir(tmpDir), submissions[0].cacheKey), reports);
+        });
+
+        it('should fail for analyses that are not finished', async () => {
+            const doReport = rewiredHelpers.__get__('doReport');
+            sinon.stub(client, 'getStatus').resolves({ uuid: 'uuid-1', status: 'In progress' });
+            const stubGetIssues = sinon.stub(client, 'getIssues');
+            const submissions = [{ uuid: 'uuid-1', contractName: 'SimpleDAO', cacheKey: 'old' }];
+            const logger = { error: sinon.spy() };
+
+            const results = await doReport(client, { _: [], logger, working_directory: tmpDir }, [simpleDaoFile], submissions);
+            assert.ok(!stubGetIssues.called);
+            assert.ok(logger.error.calledWithMatch(/recompiled since analysis uuid-1/));
             assert.equal(results.objects.length, 0);
+            assert.equal(results.errors.length, 1);
+            assert.equal(results.errors[0].contractName, 'SimpleDAO');
+            assert.ok(/status is "In progress"/.test(results.errors[0].message));
         });
     });
 });
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const html = require('../lib/formatters/html');
+
+
+describe('html formatter', function() {
+    const results = [{
+        errorCount: 1,
+        warningCount: 1,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0,
+        filePath: '/project/contracts/simple_dao.sol',
+        messages: [{
+            ruleId: 'SWC-107',
+            swcTitle: 'Reentrancy',
+            message: 'A call to a user-supplied address is executed. The callee <b>can</b> re-enter.',
+            description: { head: 'A call to a user-supplied address is executed.', tail: 'The callee <b>can</b> re-enter.' },
+            mythXseverity: 'High',
+            severity: 2,
+            line: 17,
+            column: 14,
+            contractName: 'SimpleDAO',
+            functionSignature: 'withdraw(uint256)',
+            snippet: [
+                '  16 |     if (credit[msg.sender]>= amount) {',
+                '> 17 |       require(msg.sender.call.value(amount)());',
+                '     |               ^^^^',
+            ],
+        }, {
+            ruleId: 'no-kill',
+            message: 'No kill().',
+            severity: 1,
+            line: -1,
+            column: 0,
+        }],
+    }];
+
+    it('should write a standalone HTML document', () => {
+        const output = html(results);
+        assert.ok(output.startsWith('<!DOCTYPE html>'));
+        assert.ok(/<style>[^]*<\/style>/.test(output));
+        assert.ok(/<script>[^]*<\/script>/.test(output));
+        assert.ok(!/<(link|script) [^>]*(href|src)=/.test(output), 'no external assets');
+        assert.ok(output.indexOf('2 issues: 1 High, 0 Medium, 1 Low.') >= 0);
+    });
+
+    it('should summarize issues by SWC and contract', () => {
+        const output = html(results);
+        assert.ok(output.indexOf('<td><a href="https://smartcontractsecurity.github.io/SWC-registry/docs/SWC-107">' +
+            'SWC-107</a></td><td>Reentrancy</td><td class="num">1</td>') >= 0);
+        assert.ok(output.indexOf('<td>no-kill</td><td></td><td class="num">0</td>') >= 0);
+        assert.ok(output.indexOf('<td>SimpleDAO</td><td>simple_dao.sol</td><td class="num">1</td>') >= 0);
+        assert.ok(output.indexOf('<td>simple_dao.sol</td><td>simple_dao.sol</td>') >= 0);
+    });
+
+    it('should count issues under the analyzed contract', () => {
+        const output = html([{
+            filePath: '/project/contracts/Wallet.sol',
+            messages: [
+                { ruleId: 'SWC-103', message: 'A floating pragma is set.', severity: 1, line: 1, column: 0,
+                    analyzedContractName: 'Wallet' },
+                { ruleId: 'SWC-105', message: 'Anyone can withdraw ETH.', severity: 2, line: 12, column: 8,
+                    analyzedContractName: 'Wallet', contractName: 'Owned', functionSignature: 'withdraw()' },
+            ],
+        }]);
+        assert.ok(output.indexOf('<td>Wallet</td><td>Wallet.sol</td><td class="num">0</td><td class="num">1</td>' +
+            '<td class="num">1</td><td class="num">2</td>') >= 0);
+        assert.equal(output.indexOf('<td>Owned</td>'), -1);
+        assert.ok(output.indexOf('Owned.withdraw() &mdash; Wallet.sol:12:8') >= 0);
+    });
+
+    it('should show each issue with its escaped description and source', () => {
+        const output = html(results);
+        assert.ok(output.indexOf('SimpleDAO.withdraw(uint256) &mdash; simple_dao.sol:17:14') >= 0);
+        assert.ok(output.indexOf('<p class="tail">The callee &lt;b&gt;can&lt;/b&gt; re-enter.</p>') >= 0);
+        assert.ok(output.indexOf('<span class="hl">&gt; 17 |       require(msg.sender.call.value(amount)());</span>') >= 0);
+        assert.ok(output.indexOf('<span class="caret">     |               ^^^^</span>') >= 0);
+        assert.ok(output.indexOf('<p class="head">No kill().</p>') >= 0);
+    });
+});
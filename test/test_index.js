@@ -1,9 +1,17 @@
 const assert = require('assert');
+const http = require('http');
+const https = require('https');
 const sinon = require('sinon');
 const helpers = require('../helpers');
+const network = require('../lib/network');
 
 
 describe('index.js', function() {
+    afterEach(() => {
+        sinon.restore();
+        process.exitCode = undefined;
+    });
+
     it('should call plugin successfully', async () => {
         const stubCompile = sinon.stub(helpers, 'contractsCompile');
         const stubAnalyzeWithBuildDir = sinon.stub(helpers, 'analyze');
@@ -27,5 +35,62 @@ describe('index.js', function() {
         assert.ok(stub.called);
     });
 
+    it('should reject a bad analyze section before compiling', async () => {
+        const stubCompile = sinon.stub(helpers, 'contractsCompile');
+        const pluginAnalyze = require('../index');
+        await assert.rejects(pluginAnalyze({ compilers: {}, analyze: { colour: 'red' } }),
+            /Unknown option "analyze.colour"/);
+        assert.ok(!stubCompile.called);
+    });
+
+    it('should set the process exit code returned by analyze', async () => {
+        sinon.stub(helpers, 'contractsCompile');
+        sinon.stub(helpers, 'analyze').resolves(helpers.exitCodes.issuesFound);
+        const pluginAnalyze = require('../index');
+        const exitCode = await pluginAnalyze({ compilers: {}});
+        assert.equal(exitCode, 1);
+        assert.equal(process.exitCode, 1);
+    });
+
+    it('should undo --proxy once the command is done', async () => {
+        sinon.stub(helpers, 'status').callsFake(async config => {
+            network.configureNetwork(config);
+            throw new Error('MythX is down');
+        });
+        const pluginAnalyze = require('../index');
+        await assert.rejects(pluginAnalyze({
+            _: ['analyze', 'status'],
+            compilers: {},
+            proxy: 'http://proxy.example.com:3128',
+        }), /MythX is down/);
+        assert.ok(!http.globalAgent.hasOwnProperty('addRequest'));
+        assert.ok(!https.globalAgent.hasOwnProperty('addRequest'));
+    });
+
+    it('should run the login command without compiling', async () => {
+        const stubCompile = sinon.stub(helpers, 'contractsCompile');
+        const stubLogin = sinon.stub(helpers, 'login');
+        const pluginAnalyze = require('../index');
+        await pluginAnalyze({ _: ['analyze', 'login'], compilers: {}});
+        assert.ok(stubLogin.called);
+        assert.ok(!stubCompile.called);
+    });
 
+    it('should compile contracts before submitting them', async () => {
+        const stubCompile = sinon.stub(helpers, 'contractsCompile');
+        const stubSubmit = sinon.stub(helpers, 'submit').resolves(helpers.exitCodes.ok);
+        const pluginAnalyze = require('../index');
+        await pluginAnalyze({ _: ['analyze', 'submit', 'Token'], compilers: {}});
+        assert.ok(stubCompile.calledBefore(stubSubmit));
+    });
+
+    it('should report submitted analyses without compiling', async () => {
+        const stubCompile = sinon.stub(helpers, 'contractsCompile');
+        sinon.stub(helpers, 'report').resolves(helpers.exitCodes.issuesFound);
+        const pluginAnalyze = require('../index');
+        const exitCode = await pluginAnalyze({ _: ['analyze', 'report', 'a-uuid'], compilers: {}});
+        assert.equal(exitCode, 1);
+        assert.equal(process.exitCode, 1);
+        assert.ok(!stubCompile.called);
+    });
 });
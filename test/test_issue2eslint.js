@@ -4,6 +4,7 @@ const rewire = require('rewire');
 const fs = require('fs');
 const srcmap = require('../lib/srcmap');
 const mythx = require('../lib/mythx');
+const baseline = require('../lib/baseline');
 const rewired = rewire('../lib/issues2eslint');
 
 describe('issues2Eslint', function() {
@@ -12,6 +13,12 @@ describe('issues2Eslint', function() {
         const MythXIssues = rewired.__get__('MythXIssues');
         const contractJSON = `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`;
         const sourceName = 'simple_dao.sol';
+        const fingerprint = baseline.getFingerprint({
+            contractName: 'SimpleDAO',
+            swcID: 'SWC-000',
+            functionName: 'donate',
+            snippet: 'credit[to] += msg.value',
+        });
 
         beforeEach(done => {
             fs.readFile(contractJSON, 'utf8', (err, data) => {
@@ -43,6 +50,130 @@ describe('issues2Eslint', function() {
             done();
         });
 
+        it('should span all instructions of a bytecode range', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            const issue = {
+                description: { head: 'Head', tail: 'Tail' },
+                severity: 'High',
+                swcID: 'SWC-101',
+            };
+            const single = issuesObject.issue2EsLint(Object.assign({ sourceMap: '401:1' }, issue),
+                false, 'evm-byzantium-bytecode', sourceName);
+            assert.deepEqual([single.line, single.column, single.endLine, single.endCol], [12, 4, 12, 14]);
+
+            // 401 maps to "credit[to]", 441 to "credit[to] += msg.value".
+            const range = issuesObject.issue2EsLint(Object.assign({ sourceMap: '401:41' }, issue),
+                false, 'evm-byzantium-bytecode', sourceName);
+            assert.deepEqual([range.line, range.column, range.endLine, range.endCol], [12, 4, 12, 27]);
+        });
+
+        it('should span all entries of a source map in the same file', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            assert.deepEqual(issuesObject.issue2SourceLocation({ sourceMap: '410:6:0;389:18:0;5:3:1' }, 'text'),
+                { start: 389, length: 27 });
+            const esIssue = issuesObject.issue2EsLint({
+                description: { head: 'Head', tail: 'Tail' },
+                severity: 'High',
+                sourceMap: '410:6:0;389:18:0;5:3:1',
+                swcID: 'SWC-101',
+            }, false, 'text', sourceName);
+            assert.deepEqual([esIssue.line, esIssue.column, esIssue.endLine, esIssue.endCol], [16, 8, 16, 35]);
+        });
+
+        it('should keep one issue per MythX issue with its related locations', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            issuesObject.setIssues([{
+                sourceFormat: 'evm-byzantium-bytecode',
+                sourceList: [ `/tmp/contracts/${sourceName}` ],
+                sourceType: 'raw-bytecode',
+                issues: [{
+                    description: { head: 'Head', tail: 'Tail' },
+                    locations: [{ sourceMap: '444:1:0' }, { sourceMap: '401:1:0' }],
+                    severity: 'High',
+                    swcID: 'SWC-107',
+                }],
+            }]);
+            const [ result ] = issuesObject.getEslintIssues();
+            assert.equal(result.messages.length, 1);
+            assert.deepEqual(result.messages[0].relatedLocations, [{
+                filePath: truffleJSON.sourcePath,
+                line: 12,
+                column: 4,
+                endLine: 12,
+                endCol: 14,
+            }]);
+        });
+
+        it('should not locate issues in files without a build object', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            issuesObject.setIssues([{
+                sourceFormat: 'text',
+                sourceList: [ truffleJSON.sourcePath, '' ],
+                sourceType: 'solidity-file',
+                issues: [{
+                    description: { head: 'Head', tail: 'Tail' },
+                    locations: [{ sourceMap: '410:6:1' }, { sourceMap: '389:18:0' }],
+                    severity: 'High',
+                    swcID: 'SWC-101',
+                }],
+            }]);
+            const results = issuesObject.getEslintIssues(false, false, 2);
+            assert.deepEqual(results.map(result => [result.filePath, result.messages.length]),
+                [[truffleJSON.sourcePath, 0], ['', 1]]);
+            const [ message ] = results[1].messages;
+            assert.deepEqual([message.line, message.endLine, message.contractName, message.snippet],
+                [-1, -1, null, undefined]);
+            assert.ok(/Location unknown/.test(message.message));
+            assert.equal(message.relatedLocations[0].line, 16);
+        });
+
+        it('should decode transaction sequences with showTrace', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            const issue = {
+                description: { head: 'Head', tail: 'Tail' },
+                extra: {
+                    testCases: [{
+                        steps: [{
+                            input: '0x2e1a7d4d00000000000000000000000000000000000000000000000000000000000003e8',
+                            value: '0x0',
+                            origin: '0xaffeaffeaffeaffeaffeaffeaffeaffeaffeaffe',
+                            address: '0x0901d12ebe1b195e5aa8748e62bd7734ae19b51f',
+                        }],
+                    }],
+                },
+                severity: 'High',
+                sourceMap: '444:1:0',
+                swcID: 'SWC-107',
+            };
+            const plain = issuesObject.issue2EsLint(issue, false, 'evm-byzantium-bytecode', sourceName);
+            assert.equal(plain.testCases, undefined);
+            const traced = issuesObject.issue2EsLint(issue, false, 'evm-byzantium-bytecode', sourceName, true);
+            assert.deepEqual(traced.testCases.map(steps => steps.map(step => step.call.signature)),
+                [['withdraw(uint256)']]);
+        });
+
+        it('should show the source around an issue with contextLines', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            const issue = {
+                description: { head: 'Head', tail: 'Tail' },
+                severity: 'High',
+                sourceMap: '444:1:0',
+                swcID: 'SWC-101',
+            };
+            const plain = issuesObject.issue2EsLint(issue, false, 'evm-byzantium-bytecode', sourceName);
+            assert.equal(plain.snippet, undefined);
+            const withContext = issuesObject.issue2EsLint(issue, false, 'evm-byzantium-bytecode', sourceName, false, 1);
+            assert.deepEqual(withContext.snippet, [
+                '  11 |   function donate(address to) payable public{',
+                '> 12 |     credit[to] += msg.value;',
+                '     |     ^^^^^^^^^^^^^^^^^^^^^^^',
+                '  13 |   }',
+            ]);
+            const spaceLimited = issuesObject.issue2EsLint(issue, true, 'evm-byzantium-bytecode', sourceName, false, 1);
+            assert.equal(spaceLimited.snippet, undefined);
+            assert.equal(spaceLimited.message, 'Head Source: `credit[to] += msg.value;`');
+        });
+
         it('should convert MythX issue to Eslint style with sourceFormat: evm-byzantium-bytecode', () => {
             const mythXOutput = {
                 'sourceFormat': 'evm-byzantium-bytecode',
@@ -81,8 +212,15 @@ describe('issues2Eslint', function() {
                 endLine: 12,
                 fatal: false,
                 message: 'Head message Tail message',
+                description: { head: 'Head message', tail: 'Tail message' },
                 mythXseverity: 'High',
                 severity: 3,
+                swcTitle: 'Test Title',
+                fingerprint,
+                analyzedContractName: 'SimpleDAO',
+                contractName: 'SimpleDAO',
+                functionSignature: 'donate(address)',
+                relatedLocations: [],
             },
             res);
         });
@@ -125,8 +263,15 @@ describe('issues2Eslint', function() {
                 endLine: 12,
                 fatal: false,
                 message: 'Head message Tail message',
+                description: { head: 'Head message', tail: 'Tail message' },
                 mythXseverity: 'High',
                 severity: 3,
+                swcTitle: 'Test Title',
+                fingerprint,
+                analyzedContractName: 'SimpleDAO',
+                contractName: 'SimpleDAO',
+                functionSignature: 'donate(address)',
+                relatedLocations: [],
             }, res);
         });
 
@@ -217,13 +362,116 @@ describe('issues2Eslint', function() {
                     fatal: false,
                     line: 12,
                     message: 'Head message',
+                    description: { head: 'Head message', tail: 'Tail message' },
                     ruleId: 'SWC-000',
                     mythXseverity: 'High',
                     severity: 3,
+                    swcTitle: 'Test Title',
+                    fingerprint,
+                    analyzedContractName: 'SimpleDAO',
+                    contractName: 'SimpleDAO',
+                    functionSignature: 'donate(address)',
+                    relatedLocations: [],
                 }],
             }]);
         });
 
+        it('should drop issues silenced by mythx-disable comments', () => {
+            truffleJSON.source = truffleJSON.source.replace('credit[msg.sender]-=amount;',
+                'credit[msg.sender]-=amount; // mythx-disable-line SWC-101');
+            const issuesObject = new MythXIssues(truffleJSON);
+            const issue = (sourceMap, swcID) => ({
+                'description': {
+                    'head': 'Head message',
+                    'tail': 'Tail message'
+                },
+                'locations': [{ sourceMap }],
+                'severity': 'High',
+                swcID,
+                'swcTitle': 'Test Title'
+            });
+            issuesObject.setIssues([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [
+                    `/tmp/contracts/${sourceName}`,
+                ],
+                'issues': [
+                    issue('474:26:0', 'SWC-101'),
+                    issue('474:26:0', 'SWC-107'),
+                    issue('310:23:0', 'SWC-101'),
+                ],
+            }]);
+            const result = issuesObject.getEslintIssues();
+            assert.deepEqual(result[0].messages.map(m => [m.ruleId, m.line]),
+                [['SWC-107', 18], ['SWC-101', 12]]);
+            assert.equal(result[0].errorCount + result[0].warningCount, 2);
+        });
+
+        describe('issues in imported files', () => {
+            const baseSource = 'contract Base {\n  uint x;\n  function dec() public { x -= 1; }\n}\n';
+            const mainSource = 'import "./Base.sol";\ncontract Main is Base {\n}\n';
+            const base = {
+                contractName: 'Base',
+                sourcePath: '/project/contracts/Base.sol',
+                source: baseSource,
+                ast: { absolutePath: '/project/contracts/Base.sol', src: `0:${baseSource.length}:0`, nodes: [] },
+            };
+            const main = {
+                contractName: 'Main',
+                bytecode: '0x6080604052',
+                // PUSH1 0x80 PUSH1 0x40 MSTORE
+                deployedBytecode: '0x6080604052',
+                sourceMap: '',
+                deployedSourceMap: '21:24:1;52:6:0;21:24:1',
+                sourcePath: '/project/contracts/Main.sol',
+                source: mainSource,
+                ast: {
+                    absolutePath: '/project/contracts/Main.sol',
+                    src: `0:${mainSource.length}:1`,
+                    nodes: [{ nodeType: 'ImportDirective', absolutePath: '/project/contracts/Base.sol' }],
+                },
+                compiler: { version: '0.5.0' },
+            };
+            const issue = sourceMap => ({
+                description: { head: 'Head message', tail: 'Tail message' },
+                locations: [{ sourceMap }],
+                severity: 'High',
+                swcID: 'SWC-101',
+                swcTitle: 'Integer Overflow and Underflow',
+            });
+
+            it('should route text issues by source index', () => {
+                const issuesObject = new MythXIssues(main, [base, main]);
+                issuesObject.setIssues([{
+                    sourceType: 'solidity-file',
+                    sourceFormat: 'text',
+                    sourceList: issuesObject.buildObj.sourceList,
+                    issues: [issue('52:6:0'), issue('21:24:1')],
+                }]);
+                const result = issuesObject.getEslintIssues();
+                assert.deepEqual(result.map(r => [r.filePath, r.messages.map(m => [m.line, m.column])]), [
+                    ['/project/contracts/Base.sol', [[3, 26]]],
+                    ['/project/contracts/Main.sol', [[2, 0]]],
+                ]);
+            });
+
+            it('should route bytecode issues by the deployed source map', () => {
+                const issuesObject = new MythXIssues(main, [base, main]);
+                issuesObject.setIssues([{
+                    sourceType: 'raw-bytecode',
+                    sourceFormat: 'evm-byzantium-bytecode',
+                    sourceList: ['0x1234'],
+                    issues: [issue('1:1:0'), issue('3:1:0'), issue('4:1:0')],
+                }]);
+                const result = issuesObject.getEslintIssues();
+                assert.deepEqual(result.map(r => [r.filePath, r.messages.map(m => [m.line, m.column])]), [
+                    ['/project/contracts/Main.sol', [[2, 0], [2, 0]]],
+                    ['/project/contracts/Base.sol', [[3, 26]]],
+                ]);
+            });
+        });
+
         it('It normalize and store mythX API output', () => {
             const issuesObject = new MythXIssues(truffleJSON);
             const mythXOutput = [{
@@ -262,6 +510,7 @@ describe('issues2Eslint', function() {
                         'tail': 'Tail message'
                     },
                     'sourceMap': '310:23:0',
+                    'relatedLocations': [],
                     'severity': 'High',
                     'swcID': 'SWC-000',
                     'swcTitle': 'Test Title',
@@ -311,8 +560,15 @@ describe('issues2Eslint', function() {
                     endCol: 27,
                     endLine: 12,
                     message: 'Head message',
+                    description: { head: 'Head message', tail: 'Tail message' },
                     mythXseverity: 'High',
                     severity: 3,
+                    swcTitle: 'Test Title',
+                    fingerprint,
+                    analyzedContractName: 'SimpleDAO',
+                    contractName: 'SimpleDAO',
+                    functionSignature: 'donate(address)',
+                    relatedLocations: [],
                     fatal: false,
                 }],
             }])
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const jsonMythX = require('../lib/formatters/json-mythx');
+const { MythXIssues } = require('../lib/issues2eslint');
+
+
+describe('json-mythx formatter', function() {
+    const buildObj = JSON.parse(fs.readFileSync(
+        `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`, 'utf8'));
+    const report = {
+        sourceFormat: 'evm-byzantium-bytecode',
+        sourceList: [buildObj.sourcePath],
+        sourceType: 'raw-bytecode',
+        issues: [{
+            description: { head: 'Head message', tail: 'Tail message' },
+            locations: [{ sourceMap: '444:1:0' }],
+            severity: 'High',
+            swcID: 'SWC-101',
+            swcTitle: 'Integer Overflow and Underflow',
+            extra: { discoveryTime: 1234 },
+        }, {
+            description: { head: 'Another', tail: '' },
+            locations: [{ sourceMap: '444:1:0' }],
+            severity: 'Low',
+            swcID: 'SWC-000',
+            swcTitle: 'Test Title',
+        }],
+        meta: { selected_compiler: '0.4.25' },
+    };
+
+    const format = () => {
+        const obj = new MythXIssues(buildObj);
+        obj.setIssues([report]);
+        obj.analysisMode = 'quick';
+        obj.retries = 1;
+        // As if --min-severity medium had dropped the second issue.
+        const [ result ] = obj.getEslintIssues();
+        result.messages = result.messages.filter(message => message.mythXseverity === 'High');
+        const error = new Error('Timed out');
+        error.contractName = 'Token';
+        return JSON.parse(jsonMythX([result], { objects: [obj], errors: [error] }));
+    };
+
+    it('should keep the MythX reports as received', () => {
+        const document = format();
+        assert.equal(document.version, 1);
+        assert.equal(document.tool.name, 'truffle-analyze');
+        assert.equal(document.contracts.length, 1);
+        const [ contract ] = document.contracts;
+        assert.equal(contract.contractName, 'SimpleDAO');
+        assert.deepEqual(contract.analysis, { mode: 'quick', uuid: null, retries: 1, cached: false });
+        assert.deepEqual(contract.reports, [report]);
+        assert.deepEqual(document.errors, [{ contractName: 'Token', message: 'Timed out' }]);
+    });
+
+    it('should list every issue with its resolved location', () => {
+        const [ first, second ] = format().contracts[0].issues;
+        assert.deepEqual(Object.assign({}, first, { fingerprint: undefined }), {
+            swcID: 'SWC-101',
+            swcTitle: 'Integer Overflow and Underflow',
+            severity: 'High',
+            description: { head: 'Head message', tail: 'Tail message' },
+            file: buildObj.sourcePath,
+            sourceType: 'raw-bytecode',
+            sourceFormat: 'evm-byzantium-bytecode',
+            sourceMap: '444:1:0',
+            line: 12,
+            column: 4,
+            endLine: 12,
+            endCol: 27,
+            contractName: 'SimpleDAO',
+            functionSignature: 'donate(address)',
+            relatedLocations: [],
+            extra: { discoveryTime: 1234 },
+            suppressed: false,
+            reported: true,
+            fingerprint: undefined,
+        });
+        assert.equal(second.swcID, 'SWC-000');
+        assert.equal(second.reported, false);
+    });
+
+    it('should count issues sharing a fingerprint as reported only as often as they are', () => {
+        const obj = new MythXIssues(buildObj);
+        const issue = report.issues[0];
+        obj.setIssues([Object.assign({}, report, { issues: [issue, issue] })]);
+        const [ result ] = obj.getEslintIssues();
+        assert.equal(result.messages[0].fingerprint, result.messages[1].fingerprint);
+        result.messages = result.messages.slice(1);
+        const document = JSON.parse(jsonMythX([result], { objects: [obj] }));
+        assert.deepEqual(document.contracts[0].issues.map(({ reported }) => reported), [true, false]);
+    });
+});
@@ -0,0 +1,92 @@
+const assert = require('assert');
+const junit = require('../lib/formatters/junit');
+
+
+describe('junit formatter', function() {
+    const results = [{
+        filePath: '/project/contracts/simple_dao.sol',
+        messages: [{
+            ruleId: 'SWC-107',
+            swcTitle: 'Reentrancy',
+            message: 'A call to a user-supplied address is executed. The callee can "re-enter".',
+            description: { head: 'A call to a user-supplied address is executed.', tail: 'The callee can "re-enter".' },
+            mythXseverity: 'High',
+            severity: 2,
+            line: 17,
+            column: 14,
+            fingerprint: '1a2b3c4d5e6f',
+            analyzedContractName: 'SimpleDAO',
+            contractName: 'SimpleDAO',
+            functionSignature: 'withdraw(uint256)',
+        }],
+    }];
+    const contract = contractName => ({ buildObj: { contractName } });
+
+    it('should make a failed test case of each finding, in a suite per contract', () => {
+        const error = new Error('Timed out <after 120s>');
+        error.contractName = 'Token';
+        const lines = junit(results, { objects: [contract('SimpleDAO'), contract('Migrations')], errors: [error] })
+            .split('\n');
+        assert.deepEqual(lines.slice(0, 7), [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<testsuites name="MythX" tests="3" failures="1" errors="1">',
+            '  <testsuite name="SimpleDAO" tests="1" failures="1" errors="0">',
+            '    <testcase classname="SimpleDAO" name="SWC-107 Reentrancy at simple_dao.sol:17 in withdraw(uint256)" ' +
+                'file="/project/contracts/simple_dao.sol">',
+            '      <failure message="A call to a user-supplied address is executed." type="SWC-107">' +
+                'A call to a user-supplied address is executed. The callee can &quot;re-enter&quot;.',
+            'Severity: High',
+            'Location: /project/contracts/simple_dao.sol:17:14',
+        ]);
+        assert.deepEqual(lines.slice(7, 14), [
+            'Id: 1a2b3c4d</failure>',
+            '    </testcase>',
+            '  </testsuite>',
+            '  <testsuite name="Migrations" tests="1" failures="0" errors="0">',
+            '    <testcase classname="Migrations" name="MythX analysis"/>',
+            '  </testsuite>',
+            '  <testsuite name="Token" tests="1" failures="0" errors="1">',
+        ]);
+        assert.equal(lines[14], '    <testcase classname="Token" name="MythX analysis">');
+        assert.ok(lines[15].startsWith('      <error message="Timed out &lt;after 120s&gt;" type="Error">' +
+            'Error: Timed out &lt;after 120s&gt;'));
+        assert.equal(lines[lines.length - 2], '</testsuites>');
+    });
+
+    it('should put findings in the suite of the analyzed contract', () => {
+        const inherited = [{
+            filePath: '/project/contracts/Wallet.sol',
+            messages: [{
+                ruleId: 'SWC-103',
+                message: 'A floating pragma is set.',
+                line: 1,
+                column: 0,
+                analyzedContractName: 'Wallet',
+            }, {
+                ruleId: 'SWC-105',
+                message: 'Anyone can withdraw ETH.',
+                line: 12,
+                column: 8,
+                analyzedContractName: 'Wallet',
+                contractName: 'Owned',
+                functionSignature: 'withdraw()',
+            }],
+        }];
+        const report = junit(inherited, { objects: [contract('Wallet')] });
+        assert.deepEqual(report.split('\n').filter(line => /<test(suite|case) /.test(line)), [
+            '  <testsuite name="Wallet" tests="2" failures="2" errors="0">',
+            '    <testcase classname="Wallet" name="SWC-103 at Wallet.sol:1" file="/project/contracts/Wallet.sol">',
+            '    <testcase classname="Wallet" name="SWC-105 at Wallet.sol:12 in Owned.withdraw()" ' +
+                'file="/project/contracts/Wallet.sol">',
+        ]);
+    });
+
+    it('should write an empty report when nothing was analyzed', () => {
+        assert.equal(junit([], {}), [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<testsuites name="MythX" tests="0" failures="0" errors="0">',
+            '</testsuites>',
+            '',
+        ].join('\n'));
+    });
+});
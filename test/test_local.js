@@ -0,0 +1,260 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const helpers = require('../helpers');
+const local = require('../lib/local');
+
+
+describe('local detectors', function() {
+    const buildDir = path.join(__dirname, 'sample-truffle', 'local_detectors', 'build', 'contracts');
+    const wallet = JSON.parse(fs.readFileSync(path.join(buildDir, 'Wallet.json'), 'utf8'));
+    const detectors = local.loadDetectors(local.BUILTIN_DETECTORS_DIR);
+    const findings = report => report.issues.map(issue => [issue.swcID, issue.locations[0].sourceMap]);
+
+    // Just enough of a solc AST for the detectors.
+    let nextId = 1;
+    const node = (nodeType, fields) => Object.assign({ id: nextId++, nodeType, src: `${nextId}:1:0` }, fields);
+    const stateVariable = name => node('VariableDeclaration', { name, stateVariable: true });
+    const artifact = (contractName, nodes) => ({
+        contractName,
+        sourcePath: `/project/contracts/${contractName}.sol`,
+        source: '',
+        ast: node('SourceUnit', { nodes }),
+    });
+
+    it('should load the built-in detectors', () => {
+        assert.deepEqual(detectors.map(detector => [detector.name, detector.meta.swcID]), [
+            ['deprecated', 'SWC-111'],
+            ['floating-pragma', 'SWC-103'],
+            ['shadowed-state-variable', 'SWC-119'],
+            ['tx-origin', 'SWC-115'],
+            ['unchecked-call', 'SWC-104'],
+            ['unprotected-selfdestruct', 'SWC-106'],
+        ]);
+    });
+
+    it('should reject modules that are not detectors', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-detectors-test-'));
+        const file = path.join(dir, 'bad.js');
+        fs.writeFileSync(file, 'module.exports = {};\n');
+        try {
+            assert.throws(() => local.loadDetectors(dir), /bad\.js is not a detector/);
+        } finally {
+            fs.unlinkSync(file);
+            fs.rmdirSync(dir);
+        }
+    });
+
+    it('should find problems in a compiled contract', () => {
+        const report = local.runDetectors(detectors, wallet, [wallet]);
+        assert.equal(report.sourceFormat, 'text');
+        assert.deepEqual(report.sourceList, [wallet.sourcePath]);
+        assert.deepEqual(findings(report), [
+            ['SWC-103', '0:23:0'],
+            ['SWC-115', '213:9:0'],
+            ['SWC-104', '242:15:0'],
+            ['SWC-104', '401:17:0'],
+            ['SWC-106', '464:19:0'],
+        ]);
+        assert.equal(report.issues[4].description.head, 'Anyone can destroy the contract by calling kill().');
+        assert.deepEqual(report.issues[4].extra, { detector: 'unprotected-selfdestruct' });
+    });
+
+    it('should look at file-level nodes with the first contract of a file only', () => {
+        const pragma = node('PragmaDirective', { literals: ['solidity', '>=', '0.4', '.24'] });
+        const nodes = [pragma, node('ContractDefinition', { name: 'A', nodes: [] }),
+            node('ContractDefinition', { name: 'B', nodes: [] })];
+        assert.deepEqual(findings(local.runDetectors(detectors, artifact('A', nodes))), [['SWC-103', pragma.src]]);
+        assert.deepEqual(findings(local.runDetectors(detectors, artifact('B', nodes))), []);
+    });
+
+    it('should find deprecated constructs', () => {
+        const thrown = node('Throw');
+        const sha3 = node('Identifier', { name: 'sha3', typeDescriptions: { typeString: 'function () pure returns (bytes32)' } });
+        const msgGas = node('MemberAccess', { memberName: 'gas', expression: node('Identifier', { name: 'msg' }) });
+        const body = node('Block', { statements: [thrown, node('ExpressionStatement', { expression: sha3 }),
+            node('ExpressionStatement', { expression: msgGas })] });
+        const contract = node('ContractDefinition', { name: 'Old', nodes: [node('FunctionDefinition', { body })] });
+        const report = local.runDetectors(detectors, artifact('Old', [contract]));
+        assert.deepEqual(report.issues.map(issue => issue.description.head), [
+            '"throw" is deprecated; use revert() instead.',
+            '"sha3" is deprecated; use keccak256() instead.',
+            '"msg.gas" is deprecated; use gasleft() instead.',
+        ]);
+    });
+
+    it('should find state variables shadowing those of base contracts', () => {
+        const base = node('ContractDefinition', { name: 'Base', nodes: [stateVariable('owner')] });
+        base.linearizedBaseContracts = [base.id];
+        const owner = stateVariable('owner');
+        const derived = node('ContractDefinition', { name: 'Derived', nodes: [owner, stateVariable('other')] });
+        derived.linearizedBaseContracts = [derived.id, base.id];
+        const baseArtifact = artifact('Base', [base]);
+        const report = local.runDetectors(detectors, artifact('Derived', [derived]), [baseArtifact]);
+        assert.deepEqual(findings(report), [['SWC-119', owner.src]]);
+        assert.equal(report.issues[0].description.head, 'State variable "owner" shadows the one in Base.');
+    });
+
+    it('should analyze without MythX when asked for --local', async () => {
+        const lines = [];
+        const stub = sinon.stub(console, 'log').callsFake(line => lines.push(line));
+        let exitCode;
+        try {
+            exitCode = await helpers.analyze({
+                _: ['analyze'],
+                local: true,
+                style: 'json',
+                failOn: 'high',
+                contracts_build_directory: buildDir,
+                working_directory: buildDir,
+            });
+        } finally {
+            stub.restore();
+        }
+        assert.equal(exitCode, helpers.exitCodes.issuesFound);
+        const [ result ] = JSON.parse(lines.join('\n'));
+        assert.deepEqual(result.messages.map(m => [m.ruleId, m.line]),
+            [['SWC-103', 1], ['SWC-115', 11], ['SWC-104', 12], ['SWC-104', 18], ['SWC-106', 22]]);
+    });
+
+    it('should write the report to --output in the project directory', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-output-test-'));
+        const output = path.join(dir, 'report.html');
+        const stub = sinon.stub(console, 'log');
+        try {
+            await helpers.analyze({
+                _: ['analyze'],
+                local: true,
+                style: 'html',
+                output: 'report.html',
+                contracts_build_directory: buildDir,
+                working_directory: dir,
+            });
+            assert.ok(!stub.called);
+            const report = fs.readFileSync(output, 'utf8');
+            assert.ok(report.indexOf('5 issues: 1 High, 3 Medium, 1 Low.') >= 0);
+            assert.ok(report.indexOf('<span class="hl">&gt; 11 |         require(tx.origin == owner);</span>') >= 0);
+        } finally {
+            stub.restore();
+            if (fs.existsSync(output)) {
+                fs.unlinkSync(output);
+            }
+            fs.rmdirSync(dir);
+        }
+    });
+
+    describe('project rules', () => {
+        let workingDirectory, files;
+
+        const writeRule = (file, meta) => {
+            const full = path.join(workingDirectory, file);
+            if (!fs.existsSync(path.dirname(full))) {
+                fs.mkdirSync(path.dirname(full));
+            }
+            fs.writeFileSync(full, `module.exports = {
+    meta: ${JSON.stringify(meta)},
+    create(context) {
+        return {
+            FunctionDefinition(node) {
+                if (node.name === 'kill') {
+                    context.report({ node });
+                }
+            },
+        };
+    },
+};
+`);
+            files.push(full);
+        };
+
+        beforeEach(() => {
+            workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-rules-test-'));
+            files = [];
+        });
+
+        afterEach(() => {
+            files.forEach(file => fs.unlinkSync(file));
+            [path.join(workingDirectory, local.RULES_DIR), path.join(workingDirectory, 'tools'), workingDirectory]
+                .filter(dir => fs.existsSync(dir))
+                .forEach(dir => fs.rmdirSync(dir));
+        });
+
+        it('should load rules from mythx-rules and the rules option', () => {
+            writeRule(path.join(local.RULES_DIR, 'no-kill.js'), { id: 'no-kill', severity: 'medium' });
+            writeRule(path.join('tools', 'kill-again.js'), { id: 'kill-again' });
+            const rules = local.loadProjectRules(workingDirectory, ['tools/kill-again.js']);
+            assert.deepEqual(rules.map(rule => [rule.name, rule.meta.severity]),
+                [['no-kill', 'Medium'], ['kill-again', 'Low']]);
+            assert.deepEqual(local.loadProjectRules(path.join(workingDirectory, 'tools')), []);
+        });
+
+        it('should name rules that cannot be loaded', () => {
+            writeRule(path.join(local.RULES_DIR, 'no-kill.js'), { id: 'no-kill', severity: 'critical' });
+            assert.throws(() => local.loadProjectRules(workingDirectory),
+                /no-kill\.js: meta\.severity should be one of High, Medium, Low/);
+            assert.throws(() => local.loadProjectRules(path.join(workingDirectory, 'tools'), ['missing.js']),
+                /Cannot load rules from .*missing\.js/);
+        });
+
+        it('should report findings under the rule id and message', () => {
+            writeRule(path.join(local.RULES_DIR, 'no-kill.js'),
+                { id: 'no-kill', severity: 'High', message: 'Contracts must not have kill().' });
+            const report = local.runDetectors(local.loadProjectRules(workingDirectory), wallet, [wallet]);
+            assert.deepEqual(report.issues.map(issue => [issue.swcID, issue.swcTitle, issue.severity,
+                issue.description.head]), [['no-kill', 'no-kill', 'High', 'Contracts must not have kill().']]);
+        });
+
+        it('should run rules that export node type handlers', () => {
+            const file = path.join(workingDirectory, 'no-kill.js');
+            fs.writeFileSync(file, `module.exports = {
+    meta: { id: 'no-kill' },
+    FunctionDefinition(node, context) {
+        if (node.name === 'kill') {
+            context.report({ node });
+        }
+    },
+};
+`);
+            files.push(file);
+            const report = local.runDetectors(local.loadProjectRules(workingDirectory, ['no-kill.js']), wallet);
+            assert.deepEqual(report.issues.map(issue => issue.swcID), ['no-kill']);
+        });
+
+        it('should not visit the nodes under those whose handler returns false', () => {
+            const rule = {
+                name: 'all-functions',
+                meta: { id: 'all-functions', severity: 'Low' },
+                FunctionDefinition: (node, context) => context.report({ node }),
+            };
+            const functions = local.runDetectors([rule], wallet).issues.length;
+            assert.ok(functions > 0);
+            const skipping = Object.assign({ ContractDefinition: () => false }, rule);
+            assert.equal(local.runDetectors([skipping], wallet).issues.length, 0);
+            const visiting = Object.assign({ ContractDefinition: () => undefined }, rule);
+            assert.equal(local.runDetectors([visiting], wallet).issues.length, functions);
+        });
+
+        it('should report project rules along with the built-in detectors', async () => {
+            writeRule(path.join(local.RULES_DIR, 'no-kill.js'), { id: 'no-kill', message: 'No kill().' });
+            const lines = [];
+            const stub = sinon.stub(console, 'log').callsFake(line => lines.push(line));
+            try {
+                await helpers.analyze({
+                    _: ['analyze'],
+                    local: true,
+                    style: 'json',
+                    contracts_build_directory: buildDir,
+                    working_directory: workingDirectory,
+                });
+            } finally {
+                stub.restore();
+            }
+            const [ result ] = JSON.parse(lines.join('\n'));
+            assert.deepEqual(result.messages.filter(m => m.ruleId === 'no-kill').map(m => [m.line, m.message]),
+                [[21, 'No kill().']]);
+            assert.equal(result.messages.length, 6);
+        });
+    });
+});
@@ -15,7 +15,7 @@ describe('mythx.js', () => {
                 deployedBytecode: truffleJSON.deployedBytecode,
                 sourceMap: truffleJSON.sourceMap,
                 deployedSourceMap: truffleJSON.deployedSourceMap,
-                sourceList: [ truffleJSON.sourcePath ],
+                sourceList: [ '', truffleJSON.sourcePath ],
                 sources: {
                     'simple_dao.sol': {
                         source: truffleJSON.source,
@@ -79,6 +79,7 @@ describe('mythx.js', () => {
                 extra: {},
                 severity: 'Low',
                 sourceMap: '0:23:0',
+                relatedLocations: [],
                 swcID: 'SWC-103',
                 swcTitle: 'Floating Pragma',
             }, {
@@ -89,6 +90,7 @@ describe('mythx.js', () => {
                 extra: {},
                 severity: 'Low',
                 sourceMap: '400:19:0',
+                relatedLocations: [],
                 swcID: 'SWC-109',
                 swcTitle: 'Uninitialized Storage Pointer',
             }],
@@ -99,9 +101,7 @@ describe('mythx.js', () => {
         );
     });
     
-    /*
-    FIXME: skip it for now truffle generates wrong indexed json files
-    it('should remap MythX Output object to array grouped by sourceLocation when outpit is multiple', () => {
+    it('should keep further locations of an issue as related locations', () => {
         const mythXOutput = {
             'sourceType': 'solidity-file',
             'sourceFormat': 'text',
@@ -150,12 +150,10 @@ describe('mythx.js', () => {
                     head: 'A floating pragma is set.',
                     tail: 'It is recommended to make a conscious choice on what version of Solidity is used for compilation. Currently any version equal or grater than "0.5.0" is allowed.',
                 },
-                extra: {
-                    head: 'A floating pragma is set.',
-                    tail: 'It is recommended to make a conscious choice on what version of Solidity is used for compilation. Currently any version equal or grater than "0.5.0" is allowed.',
-                },
+                extra: {},
                 severity: 'Low',
                 sourceMap: '0:23:0',
+                relatedLocations: [],
                 swcID: 'SWC-103',
                 swcTitle: 'Floating Pragma',
             }, {
@@ -166,6 +164,10 @@ describe('mythx.js', () => {
                 extra: {},
                 severity: 'Low',
                 sourceMap: '400:19:0',
+                relatedLocations: [{
+                    sourceMap: '312:10:1',
+                    source: '/tmp/contracts/sol2.sol',
+                }],
                 swcID: 'SWC-109',
                 swcTitle: 'Uninitialized Storage Pointer',
             }],
@@ -173,22 +175,93 @@ describe('mythx.js', () => {
             sourceFormat: 'text',
             sourceType: 'solidity-file',
         }, {
-            issues: [{
-                description: {
-                    head: 'Dangerous use of uninitialized storage variables.',
-                    tail: 'Uninitialized storage variables of user-defined type can point to unexpected storage locations. Initialize variable "upgraded" or set the storage attribute "memory".',
-                },
-                extra: {},
-                severity: 'Low',
-                sourceMap: '312:10:1',
-                swcID: 'SWC-109',
-                swcTitle: 'Uninitialized Storage Pointer',
-            }],
+            issues: [],
             source: '/tmp/contracts/sol2.sol',
             sourceFormat: 'text',
             sourceType: 'solidity-file',
         }]
         );
     });
-    */
+
+    it('should keep issues in files without a build object apart, with no source', () => {
+        const issue = (sourceMap, swcID) => ({
+            locations: [{ sourceMap }],
+            swcID,
+            swcTitle: 'Test Title',
+            description: { head: 'Head message', tail: 'Tail message' },
+            severity: 'Low',
+            extra: {},
+        });
+        const remapedOutput = mythx.remapMythXOutput({
+            sourceType: 'solidity-file',
+            sourceFormat: 'text',
+            sourceList: ['/p/A.sol', '', '/p/C.sol'],
+            issues: [issue('5:3:1', 'SWC-101'), issue('7:2:2', 'SWC-103'), issue('9:1:5', 'SWC-104'),
+                issue('1:1:0', 'SWC-105')],
+        });
+        assert.deepEqual(remapedOutput.map(group => [group.source, group.issues.map(i => i.swcID)]), [
+            ['/p/A.sol', ['SWC-105']],
+            ['/p/C.sol', ['SWC-103']],
+            ['', ['SWC-101', 'SWC-104']],
+        ]);
+    });
+
+    describe('sources of imported files', () => {
+        const artifact = (name, index, imports = []) => ({
+            contractName: name,
+            bytecode: '0x00',
+            deployedBytecode: '0x00',
+            sourceMap: '',
+            deployedSourceMap: '',
+            sourcePath: `/project/contracts/${name}.sol`,
+            source: `contract ${name} {}\n`,
+            ast: {
+                absolutePath: `/project/contracts/${name}.sol`,
+                nodeType: 'SourceUnit',
+                src: `0:20:${index}`,
+                nodes: imports.map(imported => ({
+                    nodeType: 'ImportDirective',
+                    absolutePath: `/project/contracts/${imported}.sol`,
+                })),
+            },
+            compiler: { version: '0.5.0' },
+        });
+
+        const base = artifact('Base', 0);
+        const other = artifact('Other', 1);
+        const lib = artifact('Lib', 3);
+        const token = artifact('Token', 2, ['Base']);
+        const main = artifact('Main', 4, ['Token', 'Lib']);
+
+        it('should read the source index off the AST', () => {
+            assert.equal(mythx.getSourceIndex(main), 4);
+            assert.equal(mythx.getSourceIndex({ ast: {} }), null);
+        });
+
+        it('should include the sources of imported files', () => {
+            const mythXJSON = mythx.truffle2MythXJSON(main, 'test', [other, base, lib, token, main]);
+            assert.deepEqual(mythXJSON.sourceList, [
+                '/project/contracts/Base.sol',
+                '',
+                '/project/contracts/Token.sol',
+                '/project/contracts/Lib.sol',
+                '/project/contracts/Main.sol',
+            ]);
+            assert.deepEqual(Object.keys(mythXJSON.sources).sort(),
+                ['Base.sol', 'Lib.sol', 'Main.sol', 'Token.sol']);
+            assert.equal(mythXJSON.sources['Base.sol'].source, base.source);
+        });
+
+        it('should put a lone source at its source index', () => {
+            const mythXJSON = mythx.truffle2MythXJSON(other, 'test', [other, base, main]);
+            assert.deepEqual(mythXJSON.sourceList, ['', '/project/contracts/Other.sol']);
+            assert.deepEqual(Object.keys(mythXJSON.sources), ['Other.sol']);
+        });
+
+        it('should skip imported files with a clashing source index', () => {
+            const clash = artifact('Clash', 4);
+            const mythXJSON = mythx.truffle2MythXJSON(artifact('User', 4, ['Clash']), 'test', [clash]);
+            assert.deepEqual(mythXJSON.sourceList, ['', '', '', '', '/project/contracts/User.sol']);
+        });
+    });
 });
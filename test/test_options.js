@@ -0,0 +1,74 @@
+const assert = require('assert');
+const options = require('../lib/options');
+
+
+describe('options', function() {
+    describe('applyConfigDefaults', () => {
+        it('should leave a configuration without analyze section alone', () => {
+            const config = { style: 'table' };
+            assert.deepEqual(options.applyConfigDefaults(config), { style: 'table' });
+        });
+
+        it('should fill in options not given on the command line', () => {
+            const config = {
+                style: 'unix',
+                analyze: {
+                    mode: 'quick',
+                    style: 'table',
+                    timeout: 300,
+                    minSeverity: 'Medium',
+                    exclude: ['Mock*'],
+                    ignoreSwc: 'SWC-103',
+                    concurrency: 2,
+                },
+            };
+            options.applyConfigDefaults(config);
+            assert.equal(config.style, 'unix');
+            assert.equal(config.mode, 'quick');
+            assert.equal(config.timeout, 300);
+            assert.equal(config.minSeverity, 'Medium');
+            assert.deepEqual(config.exclude, ['Mock*']);
+            assert.equal(config.ignoreSwc, 'SWC-103');
+            assert.equal(config.concurrency, 2);
+        });
+
+        it('should name unknown keys', () => {
+            assert.throws(() => options.applyConfigDefaults({ analyze: { styel: 'table' } }),
+                /Unknown option "analyze.styel"/);
+        });
+
+        it('should name keys with bad values', () => {
+            assert.throws(() => options.applyConfigDefaults({ analyze: { mode: 'deep' } }),
+                /Invalid value "deep" for "analyze.mode".*"quick" or "full"/);
+            assert.throws(() => options.applyConfigDefaults({ analyze: { concurrency: 0 } }),
+                /Invalid value 0 for "analyze.concurrency"/);
+            assert.throws(() => options.applyConfigDefaults({ analyze: { exclude: ['Mock*', 3] } }),
+                /Invalid value \["Mock\*",3\] for "analyze.exclude"/);
+            assert.throws(() => options.applyConfigDefaults({ analyze: { modes: { Token: 'deep' } } }),
+                /Invalid value \{"Token":"deep"\} for "analyze.modes"/);
+            assert.throws(() => options.applyConfigDefaults({ analyze: { apiUrl: 'mythx.example.com' } }),
+                /Invalid value "mythx.example.com" for "analyze.apiUrl".*an http or https URL/);
+            assert.throws(() => options.applyConfigDefaults({ analyze: { rules: [true] } }),
+                /Invalid value \[true\] for "analyze.rules".*a list of rule files or directories/);
+            assert.throws(() => options.applyConfigDefaults({ analyze: { repoUrl: 'https://github.com/acme/dao' } }),
+                /"analyze.repoUrl".*with a \{path\} placeholder/);
+            assert.throws(() => options.applyConfigDefaults({ analyze: 'quick' }),
+                /should be an object/);
+        });
+    });
+
+    it('should split comma-separated lists', () => {
+        assert.deepEqual(options.toList(undefined), []);
+        assert.deepEqual(options.toList('SWC-103, SWC-108,'), ['SWC-103', 'SWC-108']);
+        assert.deepEqual(options.toList(['Mock*']), ['Mock*']);
+    });
+
+    it('should match contract names and globs', () => {
+        assert.ok(options.matchesContractName('MockToken', ['Mock*']));
+        assert.ok(options.matchesContractName('Token', ['Vault', 'Token']));
+        assert.ok(options.matchesContractName('Token2', ['Token?']));
+        assert.ok(!options.matchesContractName('Token', ['Mock*', 'Token?']));
+        assert.ok(!options.matchesContractName('MyMock', ['Mock*']));
+        assert.ok(!options.matchesContractName('Token', []));
+    });
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const pool = require('../lib/pool');
+
+
+describe('pool', function() {
+    describe('mapWithConcurrency', () => {
+        it('should keep results in order and respect the limit', async () => {
+            let running = 0;
+            let maxRunning = 0;
+            const results = await pool.mapWithConcurrency([30, 10, 20, 0, 5], 2, async (ms, i) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise(resolve => setTimeout(resolve, ms));
+                running--;
+                return i * 10;
+            });
+            assert.deepEqual(results, [0, 10, 20, 30, 40]);
+            assert.equal(maxRunning, 2);
+        });
+
+        it('should handle an empty list', async () => {
+            assert.deepEqual(await pool.mapWithConcurrency([], 3, async () => 1), []);
+        });
+    });
+
+    describe('getStatusCode', () => {
+        it('should take the HTTP status from the error or its message', () => {
+            assert.equal(pool.getStatusCode(Object.assign(new Error('Unauthorized'), { statusCode: 401 })), 401);
+            assert.equal(pool.getStatusCode(new Error('Failed to get response, status code 401')), 401);
+            assert.equal(pool.getStatusCode(new Error('socket hang up')), null);
+            assert.equal(pool.getStatusCode(undefined), null);
+        });
+    });
+
+    describe('isTransientError', () => {
+        it('should recognize network resets, rate limits and server errors', () => {
+            const withCode = code => Object.assign(new Error('socket hang up'), { code });
+            assert.ok(pool.isTransientError(withCode('ECONNRESET')));
+            assert.ok(pool.isTransientError(Object.assign(new Error('Too many requests'), { statusCode: 429 })));
+            assert.ok(pool.isTransientError(new Error('Failed to get response, status code 503')));
+            assert.ok(!pool.isTransientError(new Error('Failed to get response, status code 400: bad input')));
+            assert.ok(!pool.isTransientError(Object.assign(new Error('Unauthorized'), { statusCode: 401 })));
+            assert.ok(!pool.isTransientError(new TypeError('Please provide a deployedBytecode option.')));
+            assert.ok(!pool.isTransientError(undefined));
+        });
+    });
+
+    describe('retry', () => {
+        const transient = () => Object.assign(new Error('rate limited'), { statusCode: 429 });
+
+        it('should retry transient failures with exponential backoff', async () => {
+            const fn = sinon.stub();
+            fn.onFirstCall().rejects(transient());
+            fn.onSecondCall().rejects(transient());
+            fn.onThirdCall().resolves('report');
+            const onRetry = sinon.stub();
+            const res = await pool.retry(fn, { retries: 3, delay: 1, onRetry });
+            assert.deepEqual(res, { result: 'report', retries: 2 });
+            assert.deepEqual(onRetry.args.map(args => args.slice(1)), [[1, 1], [2, 2]]);
+        });
+
+        it('should give up after the given number of retries', async () => {
+            const fn = sinon.stub().rejects(transient());
+            await assert.rejects(pool.retry(fn, { retries: 2, delay: 0 }),
+                err => err.retries === 2 && err.statusCode === 429);
+            assert.equal(fn.callCount, 3);
+        });
+
+        it('should not retry other failures', async () => {
+            const fn = sinon.stub().rejects(new Error('bad input'));
+            await assert.rejects(pool.retry(fn, { retries: 2, delay: 0 }),
+                err => err.retries === 0);
+            assert.equal(fn.callCount, 1);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const path = require('path');
+const prMarkdown = require('../lib/formatters/pr-markdown');
+
+
+describe('pr-markdown formatter', function() {
+    const projectDir = path.join(path.sep, 'project');
+    const message = {
+        ruleId: 'SWC-107',
+        swcTitle: 'Reentrancy',
+        message: 'A call to a user-supplied address is executed. The callee can re-enter.',
+        description: { head: 'A call | to a <user-supplied> address is executed.', tail: 'The callee can re-enter.' },
+        mythXseverity: 'High',
+        severity: 2,
+        line: 17,
+        endLine: 18,
+        column: 14,
+        contractName: 'SimpleDAO',
+        functionSignature: 'withdraw(uint256)',
+    };
+    const results = [{
+        filePath: path.join(projectDir, 'contracts', 'simple_dao.sol'),
+        messages: [
+            Object.assign({}, message, { ruleId: 'no-kill', swcTitle: 'no-kill', mythXseverity: 'Low', line: 30,
+                description: { head: 'No kill().', tail: '' } }),
+            message,
+        ],
+    }];
+
+    it('should summarize findings by severity and contract', () => {
+        const lines = prMarkdown(results, { config: { working_directory: projectDir } }).split('\n');
+        assert.deepEqual(lines.slice(0, 9), [
+            '## MythX security analysis',
+            '',
+            '**2 findings** in 1 contract.',
+            '',
+            '| Severity | Findings |',
+            '| --- | ---: |',
+            '| High | 1 |',
+            '| Medium | 0 |',
+            '| Low | 1 |',
+        ]);
+        assert.deepEqual(lines.slice(10, 17), [
+            '<details><summary><b>SimpleDAO</b>: 1 High, 1 Low</summary>',
+            '',
+            '| Severity | Issue | Location | Description |',
+            '| --- | --- | --- | --- |',
+            '| High | [SWC-107](https://smartcontractsecurity.github.io/SWC-registry/docs/SWC-107) Reentrancy | ' +
+                'simple_dao.sol:17 `withdraw(uint256)` | A call \\| to a &lt;user-supplied&gt; address is executed. |',
+            '| Low | no-kill | simple_dao.sol:30 `withdraw(uint256)` | No kill(). |',
+            '',
+        ]);
+        assert.equal(lines[17], '</details>');
+    });
+
+    it('should group findings under the analyzed contract', () => {
+        const wallet = [{
+            filePath: path.join(projectDir, 'contracts', 'Wallet.sol'),
+            messages: [
+                { ruleId: 'SWC-103', message: 'A floating pragma is set.', mythXseverity: 'Low', line: 1,
+                    analyzedContractName: 'Wallet' },
+                Object.assign({}, message, { line: 12, analyzedContractName: 'Wallet', contractName: 'Owned' }),
+            ],
+        }];
+        const lines = prMarkdown(wallet, { config: { working_directory: projectDir } }).split('\n');
+        assert.equal(lines[2], '**2 findings** in 1 contract.');
+        assert.deepEqual(lines.filter(line => line.startsWith('<details>') || line.startsWith('| High | [')), [
+            '<details><summary><b>Wallet</b>: 1 High, 1 Low</summary>',
+            '| High | [SWC-107](https://smartcontractsecurity.github.io/SWC-registry/docs/SWC-107) Reentrancy | ' +
+                'Wallet.sol:12 `Owned.withdraw(uint256)` | A call \\| to a &lt;user-supplied&gt; address is executed. |',
+        ]);
+    });
+
+    it('should link findings with the repoUrl template', () => {
+        const config = {
+            working_directory: projectDir,
+            repoUrl: 'https://github.com/acme/dao/blob/main/{path}#L{line}-L{endLine}',
+        };
+        const output = prMarkdown(results, { config });
+        assert.ok(output.indexOf('[simple_dao.sol:17](https://github.com/acme/dao/blob/main/contracts/simple_dao.sol#L17-L18)') >= 0);
+        const outside = prMarkdown(results, { config: Object.assign({}, config, { working_directory: '/elsewhere' }) });
+        assert.equal(outside.indexOf('https://github.com/acme'), -1);
+    });
+
+    it('should say when there are no new findings and list failed analyses', () => {
+        const error = new Error('Timed out');
+        error.contractName = 'Token';
+        const output = prMarkdown([], { config: { baseline: '.mythx-baseline.json' }, errors: [error] });
+        assert.equal(output, [
+            '## MythX security analysis',
+            '',
+            'No new findings. Findings recorded in the baseline are left out.',
+            '',
+            '**1 analysis request failed:**',
+            '',
+            '- Token: Timed out',
+            '',
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const abiCoder = require('web3-eth-abi');
+const repro = require('../lib/repro');
+const trace = require('../lib/trace');
+
+
+describe('repro', function() {
+    const buildObj = JSON.parse(fs.readFileSync(path.join(__dirname, 'sample-truffle', 'simple_dao',
+        'build', 'contracts', 'SimpleDAO.json'), 'utf8'));
+    const creator = '0xdeadbeefdeadbeefdeadbeefdeadbeefdeadbeef';
+    const attacker = '0xaffeaffeaffeaffeaffeaffeaffeaffeaffeaffe';
+    const contract = '0x0901d12ebe1b195e5aa8748e62bd7734ae19b51f';
+    const fingerprint = '1a2b3c4d5e6f70819a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f70819a0b1c2d';
+    const donate = '0x00362a950000000000000000000000000901d12ebe1b195e5aa8748e62bd7734ae19b51f';
+    const withdraw = '0x2e1a7d4d00000000000000000000000000000000000000000000000000000000000003e8';
+
+    const getMessage = (steps, ruleId = 'SWC-107') => ({
+        ruleId,
+        fingerprint,
+        line: 17,
+        message: 'A call to a user-supplied address is executed.',
+        testCases: trace.decodeTestCases({ testCases: [{ steps }] }, buildObj.abi),
+    });
+
+    it('should name test files after the contract, SWC id and issue id', () => {
+        assert.equal(repro.getReproFile('/project', 'SimpleDAO', getMessage([])),
+            path.join('/project', 'test', 'mythx', 'SimpleDAO-SWC-107-1a2b3c4d.js'));
+    });
+
+    it('should deploy the contract and replay the calls', () => {
+        const source = repro.generateReproTest(buildObj, getMessage([
+            { input: buildObj.bytecode, value: '0x0', origin: creator, address: '' },
+            { input: donate, value: '0x10', origin: attacker, address: contract },
+            { input: withdraw, value: '0x0', origin: attacker, address: contract },
+        ]), 'simple_dao.sol');
+
+        assert.ok(source.startsWith(`// Replays the transaction sequence that MythX found for issue ${fingerprint}:\n` +
+            '// SWC-107 at simple_dao.sol:17: A call to a user-supplied address is executed.\n'));
+        assert.ok(source.indexOf('const SimpleDAO = artifacts.require(\'SimpleDAO\');') >= 0);
+        assert.ok(source.indexOf('contract(\'SimpleDAO: MythX issue 1a2b3c4d (SWC-107)\', accounts => {') >= 0);
+        assert.ok(source.indexOf('        const instance = await SimpleDAO.new({ from: accounts[0] });\n' +
+            '        await instance.donate(instance.address, { from: accounts[1], value: \'16\' });\n' +
+            '        let error;\n' +
+            '        try {\n' +
+            '            await instance.withdraw(\'1000\', { from: accounts[1] });\n') >= 0);
+        assert.ok(source.indexOf('assert.ok(error, ') >= 0);
+        // The generated test is valid JavaScript.
+        assert.doesNotThrow(() => new Function('artifacts', 'contract', source));
+    });
+
+    it('should keep multi-line messages in the header comment', () => {
+        const message = Object.assign(getMessage([
+            { input: withdraw, value: '0x0', origin: attacker, address: contract },
+        ]), { message: 'The arithmetic operation can overflow.\n  arithmetic on amount is unchecked.' });
+        const source = repro.generateReproTest(buildObj, message, 'simple_dao.sol');
+        assert.ok(source.indexOf('// SWC-107 at simple_dao.sol:17: The arithmetic operation can overflow. ' +
+            'arithmetic on amount is unchecked.\n') >= 0);
+        assert.doesNotThrow(() => new Function('artifacts', 'contract', source));
+    });
+
+    it('should only replay sequences with a call after deployment', () => {
+        const deployOnly = { input: buildObj.bytecode, value: '0x0', origin: creator, address: '' };
+        assert.throws(() => repro.generateReproTest(buildObj, getMessage([deployOnly]), 'simple_dao.sol'),
+            /no transaction sequence with a call to replay for issue 1a2b3c4d/);
+
+        const message = getMessage([deployOnly]);
+        message.testCases.push(getMessage([
+            { input: withdraw, value: '0x0', origin: attacker, address: contract },
+        ]).testCases[0]);
+        const source = repro.generateReproTest(buildObj, message, 'simple_dao.sol');
+        assert.ok(source.indexOf('it(\'should not be exploitable by transaction sequence\', async () => {') >= 0);
+        assert.ok(source.indexOf('await instance.withdraw(\'1000\', { from: accounts[1] });') >= 0);
+        assert.ok(source.indexOf('// Fixed contracts are expected to reject this call.') >= 0);
+    });
+
+    it('should send calls of unknown functions as raw transactions', () => {
+        const source = repro.generateReproTest(buildObj, getMessage([
+            { input: '0xdeadbeef', value: '0x0', origin: attacker, address: contract },
+        ], 'SWC-110'), 'simple_dao.sol');
+        assert.ok(source.indexOf('const instance = await SimpleDAO.new({ from: accounts[0] });') >= 0);
+        assert.ok(source.indexOf(
+            'await instance.sendTransaction({ from: accounts[1], data: \'0xdeadbeef\' });') >= 0);
+        assert.ok(source.indexOf('invalid opcode') >= 0);
+    });
+
+    it('should decode constructor arguments of the creation input', () => {
+        const withConstructor = {
+            abi: [{ type: 'constructor', inputs: [{ name: 'owner', type: 'address' }] }],
+            bytecode: '0x6080',
+        };
+        const args = abiCoder.encodeParameters(['address'], [contract]).slice(2);
+        assert.deepEqual(repro.decodeConstructorArgs(`0x6080${args}`, withConstructor).map(a => a.toLowerCase()),
+            [contract]);
+        assert.equal(repro.decodeConstructorArgs('0x6000', withConstructor), null);
+        assert.deepEqual(repro.decodeConstructorArgs('0x6080', buildObj), []);
+    });
+});
@@ -0,0 +1,135 @@
+const assert = require('assert');
+const path = require('path');
+const sarif = require('../lib/formatters/sarif');
+
+
+describe('sarif formatter', function() {
+    const results = [{
+        errorCount: 1,
+        warningCount: 1,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0,
+        filePath: path.join(process.cwd(), 'contracts', 'simple_dao.sol'),
+        messages: [{
+            ruleId: 'SWC-107',
+            swcTitle: 'Reentrancy',
+            message: 'A call to a user-supplied address is executed.',
+            mythXseverity: 'High',
+            severity: 2,
+            fatal: false,
+            line: 17,
+            column: 14,
+            endLine: 17,
+            endCol: 47,
+        }, {
+            ruleId: 'SWC-101',
+            swcTitle: 'Integer Overflow and Underflow',
+            message: 'The binary subtraction can underflow.',
+            mythXseverity: 'Low',
+            severity: 1,
+            fatal: false,
+            line: -1,
+            column: 0,
+            endLine: -1,
+            endCol: 0,
+        }, {
+            ruleId: 'SWC-107',
+            swcTitle: 'Reentrancy',
+            message: 'A second call to a user-supplied address is executed.',
+            mythXseverity: 'Medium',
+            severity: 2,
+            fatal: false,
+            line: 18,
+            column: 6,
+            endLine: 18,
+            endCol: 30,
+        }],
+    }];
+
+    it('should produce a SARIF 2.1.0 log', () => {
+        const log = JSON.parse(sarif(results));
+        assert.equal(log.version, '2.1.0');
+        assert.equal(log.runs.length, 1);
+        assert.equal(log.runs[0].tool.driver.name, 'truffle-analyze');
+    });
+
+    it('should describe each SWC rule once', () => {
+        const { rules } = JSON.parse(sarif(results)).runs[0].tool.driver;
+        assert.deepEqual(rules.map(rule => rule.id), ['SWC-107', 'SWC-101']);
+        assert.equal(rules[0].shortDescription.text, 'Reentrancy');
+        assert.ok(rules[0].helpUri.endsWith('/SWC-107'));
+    });
+
+    it('should map severities and locations', () => {
+        const sarifResults = JSON.parse(sarif(results)).runs[0].results;
+        assert.deepEqual(sarifResults.map(r => r.level), ['error', 'note', 'warning']);
+        assert.deepEqual(sarifResults.map(r => r.ruleIndex), [0, 1, 0]);
+        assert.deepEqual(sarifResults[0].locations[0].physicalLocation, {
+            artifactLocation: {
+                uri: 'contracts/simple_dao.sol',
+                uriBaseId: '%SRCROOT%',
+            },
+            region: {
+                startLine: 17,
+                startColumn: 15,
+                endLine: 17,
+                endColumn: 48,
+            },
+        });
+        assert.equal(sarifResults[1].locations[0].physicalLocation.region, undefined);
+    });
+
+    it('should keep paths outside the working directory as they are', () => {
+        const log = JSON.parse(sarif([{
+            filePath: '/elsewhere/contract.sol',
+            messages: [results[0].messages[0]],
+        }]));
+        assert.deepEqual(log.runs[0].results[0].locations[0].physicalLocation.artifactLocation, {
+            uri: '/elsewhere/contract.sol',
+        });
+    });
+
+    it('should list related locations', () => {
+        const message = Object.assign({}, results[0].messages[0], {
+            relatedLocations: [{
+                filePath: path.join(process.cwd(), 'contracts', 'simple_dao.sol'),
+                line: 19,
+                column: 8,
+                endLine: 19,
+                endCol: 34,
+            }],
+        });
+        const [ result ] = JSON.parse(sarif([{ filePath: results[0].filePath, messages: [message] }])).runs[0].results;
+        assert.deepEqual(result.relatedLocations, [{
+            id: 1,
+            physicalLocation: {
+                artifactLocation: {
+                    uri: 'contracts/simple_dao.sol',
+                    uriBaseId: '%SRCROOT%',
+                },
+                region: {
+                    startLine: 19,
+                    startColumn: 9,
+                    endLine: 19,
+                    endColumn: 35,
+                },
+            },
+            message: { text: 'Related location 1 of SWC-107.' },
+        }]);
+        assert.equal(JSON.parse(sarif(results)).runs[0].results[0].relatedLocations, undefined);
+    });
+
+    it('should name the contract and function of a result', () => {
+        const messages = [
+            Object.assign({}, results[0].messages[0], { contractName: 'SimpleDAO', functionSignature: 'withdraw(uint256)' }),
+            Object.assign({}, results[0].messages[0], { contractName: 'SimpleDAO' }),
+            results[0].messages[0],
+        ];
+        const sarifResults = JSON.parse(sarif([{ filePath: results[0].filePath, messages }])).runs[0].results;
+        assert.deepEqual(sarifResults.map(result => result.locations[0].logicalLocations), [
+            [{ name: 'withdraw(uint256)', fullyQualifiedName: 'SimpleDAO.withdraw(uint256)', kind: 'function' }],
+            [{ name: 'SimpleDAO', fullyQualifiedName: 'SimpleDAO', kind: 'type' }],
+            undefined,
+        ]);
+    });
+});
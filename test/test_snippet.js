@@ -0,0 +1,39 @@
+const assert = require('assert');
+const snippet = require('../lib/snippet');
+
+
+describe('snippet', function() {
+    const source = [
+        'contract A {',
+        '    function f() public {',
+        '\tmsg.sender.transfer(1);',
+        '    }',
+        '}',
+    ].join('\n');
+
+    it('should underline the span of a location between its context lines', () => {
+        assert.deepEqual(snippet.formatSnippet(source, { line: 2, column: 4, endLine: 2, endCol: 12 }, 1), [
+            '  1 | contract A {',
+            '> 2 |     function f() public {',
+            '    |     ^^^^^^^^',
+            '  3 | \tmsg.sender.transfer(1);',
+        ]);
+    });
+
+    it('should keep tabs in the underline and stop at the end of the first line', () => {
+        assert.deepEqual(snippet.formatSnippet(source, { line: 3, column: 1, endLine: 4, endCol: 5 }, 0), [
+            '> 3 | \tmsg.sender.transfer(1);',
+            '    | \t^^^^^^^^^^^^^^^^^^^^^^^',
+        ]);
+    });
+
+    it('should show nothing for unknown locations', () => {
+        assert.deepEqual(snippet.formatSnippet(source, { line: -1, column: 0, endLine: -1, endCol: 0 }, 2), []);
+        assert.deepEqual(snippet.formatSnippet(source, { line: 9, column: 0, endLine: 9, endCol: 1 }, 2), []);
+    });
+
+    it('should give the trimmed line of a location', () => {
+        assert.equal(snippet.getSourceLine(source, { line: 3 }), 'msg.sender.transfer(1);');
+        assert.equal(snippet.getSourceLine(source, { line: -1 }), '');
+    });
+});
@@ -42,4 +42,32 @@ describe('srcmap', function() {
         assert.deepEqual(SrcMap.makeOffset2InstNum('60806040526020604051'),
             { '1': 0, '3': 1, '4': 2, '6': 3, '8': 4, '9': 5 });
     });
+
+    it('should name functions with their parameter types', () => {
+        const param = typeString => ({ typeDescriptions: { typeString } });
+        const parameters = params => ({ parameters: params });
+        assert.equal(SrcMap.functionSignature({ name: 'withdraw', parameters: parameters([param('uint256')]) }),
+            'withdraw(uint256)');
+        assert.equal(SrcMap.functionSignature({ name: 'pay', kind: 'function', parameters: parameters([
+            param('address payable'), param('string memory'), param('struct Bank.Account storage pointer'),
+            param('contract Token'), param('uint256[] calldata'),
+        ]) }), 'pay(address payable,string,Bank.Account,Token,uint256[])');
+        assert.equal(SrcMap.functionSignature({ name: '', kind: 'receive', parameters: parameters([]) }), 'receive()');
+        assert.equal(SrcMap.functionSignature({ name: 'Wallet', isConstructor: true, parameters: parameters([]) }),
+            'constructor()');
+        assert.equal(SrcMap.functionSignature({ name: '', parameters: parameters([]) }), 'fallback()');
+    });
+
+    it('should find the contract enclosing a source location', () => {
+        const ast = {
+            nodeType: 'SourceUnit',
+            src: '0:100:0',
+            nodes: [
+                { nodeType: 'ContractDefinition', name: 'A', src: '0:40:0', nodes: [] },
+                { nodeType: 'ContractDefinition', name: 'B', src: '41:59:0', nodes: [] },
+            ],
+        };
+        assert.equal(SrcMap.findEnclosingContract({ start: 50, length: 5 }, ast).name, 'B');
+        assert.equal(SrcMap.findEnclosingContract({ start: 30, length: 20 }, ast), null);
+    });
 });
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const stylish = require('../lib/formatters/stylish');
+
+
+describe('stylish formatter', function() {
+    const message = {
+        ruleId: 'SWC-107',
+        message: 'A call to a user-supplied address is executed.',
+        severity: 2,
+        fatal: false,
+        line: 17,
+        column: 14,
+        relatedLocations: [{
+            filePath: '/project/contracts/simple_dao.sol',
+            line: 19,
+            column: 8,
+        }, {
+            filePath: '/project/contracts/simple_dao.sol',
+            line: -1,
+            column: 0,
+        }],
+    };
+    const results = [{
+        errorCount: 1,
+        warningCount: 0,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0,
+        filePath: '/project/contracts/simple_dao.sol',
+        messages: [message],
+    }];
+
+    it('should add known related locations to the message', () => {
+        const output = stylish(results);
+        assert.ok(output.indexOf('A call to a user-supplied address is executed. Related: simple_dao.sol:19:8') >= 0);
+        assert.equal(message.message, 'A call to a user-supplied address is executed.');
+    });
+
+    it('should name the contract and function of an issue', () => {
+        const output = stylish([Object.assign({}, results[0], {
+            messages: [Object.assign({}, message, { contractName: 'SimpleDAO', functionSignature: 'withdraw(uint256)' })],
+        })]);
+        assert.ok(output.indexOf('SimpleDAO.withdraw(uint256): A call to a user-supplied address is executed.') >= 0);
+    });
+
+    it('should show source snippets under their issue', () => {
+        const snippet = ['> 17 |       require(msg.sender.call.value(amount)());', '     |               ^^^^'];
+        const lines = stylish([Object.assign({}, results[0], {
+            messages: [Object.assign({}, message, { snippet })],
+        })]).split('\n');
+        const row = lines.findIndex(line => line.indexOf('A call to a user-supplied') >= 0);
+        assert.deepEqual(lines.slice(row + 1, row + 3), snippet.map(line => `    ${line}`));
+    });
+
+    it('should keep multi-line messages on one row, above their details', () => {
+        const snippet = ['> 17 |       require(msg.sender.call.value(amount)());'];
+        const lines = stylish([Object.assign({}, results[0], {
+            messages: [
+                Object.assign({}, message, { message: 'first line\nsecond line', relatedLocations: [], snippet }),
+                Object.assign({}, message, { line: 20, message: 'Another issue.', relatedLocations: [], snippet }),
+            ],
+        })]).split('\n');
+        const row = lines.findIndex(line => line.indexOf('first line second line') >= 0);
+        assert.ok(row > 0);
+        assert.equal(lines[row + 1], `    ${snippet[0]}`);
+        assert.ok(lines[row + 2].indexOf('Another issue') >= 0);
+        assert.equal(lines[row + 3], `    ${snippet[0]}`);
+    });
+
+    it('should leave messages without related locations alone', () => {
+        const output = stylish([Object.assign({}, results[0], {
+            messages: [Object.assign({}, message, { relatedLocations: [] })],
+        })]);
+        assert.ok(output.indexOf('A call to a user-supplied address is executed') >= 0);
+        assert.equal(output.indexOf('Related:'), -1);
+    });
+
+    it('should list transaction sequences under their issue', () => {
+        const step = {
+            caller: '0xaffeaffeaffeaffeaffeaffeaffeaffeaffeaffe',
+            value: '0',
+            call: {
+                name: 'withdraw',
+                args: [{ name: 'amount', type: 'uint256', value: '1000' }],
+            },
+        };
+        const other = Object.assign({}, message, { line: 20, message: 'Another issue.', relatedLocations: [] });
+        const lines = stylish([Object.assign({}, results[0], {
+            messages: [Object.assign({}, message, { testCases: [[step]], fingerprint: '1a2b3c4d5e6f' }), other],
+        })]).split('\n');
+        const row = lines.findIndex(line => line.indexOf('A call to a user-supplied') >= 0);
+        assert.deepEqual(lines.slice(row + 1, row + 4), [
+            '    Transaction sequence:',
+            '      1. withdraw(amount: 1000) from 0xaffeaffeaffeaffeaffeaffeaffeaffeaffeaffe',
+            '    Reproduce with: truffle run analyze repro 1a2b3c4d',
+        ]);
+        assert.ok(lines[row + 4].indexOf('Another issue') >= 0);
+    });
+});
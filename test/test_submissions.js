@@ -0,0 +1,41 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const submissions = require('../lib/submissions');
+
+
+describe('submissions', function() {
+    let tmpDir, file;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mythx-submissions-test-'));
+        file = submissions.getSubmissionsFile(tmpDir);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+        fs.rmdirSync(tmpDir);
+    });
+
+    it('should have no submissions without a file', () => {
+        assert.deepEqual(submissions.loadSubmissions(file), []);
+    });
+
+    it('should keep the latest submission of each contract', () => {
+        submissions.saveSubmissions(file, [
+            { uuid: 'uuid-1', contractName: 'SimpleDAO' },
+            { uuid: 'uuid-2', contractName: 'Token' },
+        ]);
+        const all = submissions.saveSubmissions(file, [{ uuid: 'uuid-3', contractName: 'SimpleDAO' }]);
+        assert.deepEqual(all.map(s => s.uuid), ['uuid-2', 'uuid-3']);
+        assert.deepEqual(submissions.loadSubmissions(file), all);
+    });
+
+    it('should reject files of another format', () => {
+        fs.writeFileSync(file, JSON.stringify({ version: 2, submissions: [] }));
+        assert.throws(() => submissions.loadSubmissions(file), /not a version 1 submissions file/);
+    });
+});
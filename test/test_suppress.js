@@ -0,0 +1,55 @@
+const assert = require('assert');
+const suppress = require('../lib/suppress');
+
+
+describe('suppress', function() {
+    const source = [
+        'pragma solidity 0.5.0;',                                  // 1
+        'contract C {',                                            // 2
+        '  // mythx-disable-next-line SWC-107',                    // 3
+        '  function a() public { msg.sender.call(""); }',          // 4
+        '  function b() public { x -= 1; } // mythx-disable-line', // 5
+        '  /* mythx-disable SWC-101, SWC-104 */',                  // 6
+        '  function c() public { x -= 1; }',                       // 7
+        '  /* mythx-enable */',                                    // 8
+        '  function d() public { x -= 1; }',                       // 9
+        '  /* mythx-disable SWC-110 */',                           // 10
+        '  function e() public { assert(false); }',                // 11
+        '}',                                                       // 12
+    ].join('\n');
+
+    const suppressions = suppress.parseSuppressions(source);
+
+    it('should suppress the next line for the given SWC id only', () => {
+        assert.ok(suppress.isSuppressed(suppressions, 'SWC-107', 4));
+        assert.ok(!suppress.isSuppressed(suppressions, 'SWC-101', 4));
+        assert.ok(!suppress.isSuppressed(suppressions, 'SWC-107', 3));
+    });
+
+    it('should suppress every issue on a line without SWC ids', () => {
+        assert.ok(suppress.isSuppressed(suppressions, 'SWC-101', 5));
+        assert.ok(suppress.isSuppressed(suppressions, 'SWC-107', 5));
+    });
+
+    it('should suppress between disable and enable comments', () => {
+        assert.ok(suppress.isSuppressed(suppressions, 'SWC-101', 7));
+        assert.ok(suppress.isSuppressed(suppressions, 'SWC-104', 7));
+        assert.ok(!suppress.isSuppressed(suppressions, 'SWC-107', 7));
+        assert.ok(!suppress.isSuppressed(suppressions, 'SWC-101', 9));
+    });
+
+    it('should suppress to the end of the file when never enabled again', () => {
+        assert.ok(suppress.isSuppressed(suppressions, 'SWC-110', 11));
+        assert.ok(suppress.isSuppressed(suppressions, 'SWC-110', 12));
+    });
+
+    it('should not suppress issues without a location', () => {
+        assert.ok(!suppress.isSuppressed(suppressions, 'SWC-110', -1));
+        assert.ok(!suppress.isSuppressed(undefined, 'SWC-110', 11));
+    });
+
+    it('should ignore directives outside of comments', () => {
+        const result = suppress.parseSuppressions('string s = "mythx-disable-line";\n');
+        assert.deepEqual(result, { lines: {}, ranges: [] });
+    });
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const trace = require('../lib/trace');
+
+
+describe('trace', function() {
+    const { abi } = JSON.parse(fs.readFileSync(path.join(__dirname, 'sample-truffle', 'simple_dao',
+        'build', 'contracts', 'SimpleDAO.json'), 'utf8'));
+    const caller = '0xaffeaffeaffeaffeaffeaffeaffeaffeaffeaffe';
+    const contract = '0x0901d12ebe1b195e5aa8748e62bd7734ae19b51f';
+    const donate = '0x00362a950000000000000000000000000901d12ebe1b195e5aa8748e62bd7734ae19b51f';
+    const withdraw = '0x2e1a7d4d00000000000000000000000000000000000000000000000000000000000003e8';
+
+    it('should decode calldata against the ABI', () => {
+        assert.deepEqual(trace.decodeCalldata(withdraw, abi), {
+            name: 'withdraw',
+            signature: 'withdraw(uint256)',
+            args: [{ name: 'amount', type: 'uint256', value: '1000' }],
+        });
+        assert.equal(trace.decodeCalldata(donate, abi).args[0].value.toLowerCase(), contract);
+    });
+
+    it('should recognize fallback calls and unknown functions', () => {
+        assert.equal(trace.decodeCalldata('0x', abi).name, 'fallback');
+        assert.deepEqual(trace.decodeCalldata('0xdeadbeef', abi), {
+            name: null,
+            signature: '0xdeadbeef',
+            args: [],
+        });
+    });
+
+    it('should keep the function of calldata that does not fit its parameters', () => {
+        assert.deepEqual(trace.decodeCalldata('0x2e1a7d4d00', abi), {
+            name: 'withdraw',
+            signature: 'withdraw(uint256)',
+            args: [],
+        });
+    });
+
+    it('should describe the steps of test cases', () => {
+        const testCases = trace.decodeTestCases({
+            testCases: [{
+                steps: [
+                    { input: '0x6080', value: '0x0', origin: caller, address: '' },
+                    { input: donate, value: '0x0de0b6b3a7640000', origin: caller, address: contract },
+                    { input: withdraw, value: '0x0', origin: caller, address: contract },
+                ],
+            }],
+        }, abi);
+        assert.equal(testCases.length, 1);
+        assert.deepEqual(trace.formatTestCases(testCases), [
+            'Transaction sequence:',
+            `  1. contract creation from ${caller}`,
+            `  2. donate(to: ${testCases[0][1].call.args[0].value}) from ${caller} with value 1000000000000000000`,
+            `  3. withdraw(amount: 1000) from ${caller}`,
+        ]);
+    });
+
+    it('should number several test cases', () => {
+        const step = { input: withdraw, value: '0x0', address: contract };
+        const lines = trace.formatTestCases(trace.decodeTestCases({
+            testCases: [{ steps: [step] }, { steps: [step] }],
+        }, abi));
+        assert.deepEqual(lines, [
+            'Transaction sequence 1:',
+            '  1. withdraw(amount: 1000)',
+            'Transaction sequence 2:',
+            '  1. withdraw(amount: 1000)',
+        ]);
+    });
+
+    it('should have no test cases without extra data', () => {
+        assert.deepEqual(trace.decodeTestCases({}, abi), []);
+        assert.deepEqual(trace.decodeTestCases(undefined, abi), []);
+    });
+});
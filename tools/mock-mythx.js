@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/* A local stand-in for the MythX API, for tests that must not touch
+   the network. It answers the login, refresh, version, submit, status
+   and issues requests armlet makes, replaying canned reports.
+
+   From the command line:
+
+     node tools/mock-mythx.js [--port 3100] [--reports test/api-v1/MythXResults.json]
+
+   then run analyses against it with
+   truffle run analyze --api-url http://127.0.0.1:3100 and any
+   MYTHX_API_KEY.
+*/
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const querystring = require('querystring');
+
+const randomId = () => crypto.randomBytes(16).toString('hex')
+    .replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+
+
+class MockMythX {
+    /**
+     *
+     * @param {object} options
+     * @param {object[]|Function} options.reports - MythX reports returned for every analysis,
+     *        or a function from the submitted data to the reports
+     * @param {integer} options.pendingPolls - number of status and issues requests per
+     *        analysis answered as still "In progress" before it finishes
+     * @param {integer} options.tokenUses - number of requests an access token given by
+     *        login or refresh is good for before it expires
+     * @param {string[]} options.apiKeys - API keys accepted as access tokens; any when not given
+     */
+    constructor({ reports = [], pendingPolls = 0, tokenUses = Infinity, apiKeys = null } = {}) {
+        this.reports = reports;
+        this.pendingPolls = pendingPolls;
+        this.tokenUses = tokenUses;
+        this.apiKeys = apiKeys;
+        // Analyses by UUID: { uuid, data, polls }
+        this.analyses = {};
+        // Requests made with each access token given out, and the access token of each refresh token.
+        this.accessTokens = {};
+        this.refreshTokens = {};
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * Starts listening on localhost.
+     *
+     * @param {integer} port - 0 picks a free port
+     * @returns {Promise} - resolves to the API URL, e.g. http://127.0.0.1:3100
+     */
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${this.server.address().port}`);
+            });
+        });
+    }
+
+    /**
+     * Stops listening.
+     *
+     * @returns {Promise}
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const route = `${req.method} ${req.url.split('?')[0]}`;
+            let match;
+            if (route === 'GET /v1/version') {
+                this.send(res, 200, { api: 'mock', maru: 'mock', mythril: 'mock' });
+            } else if (route === 'POST /v1/auth/login') {
+                this.login(res, querystring.parse(body));
+            } else if (route === 'POST /v1/auth/refresh') {
+                this.refresh(res, querystring.parse(body));
+            } else if (!this.isAuthorized(req)) {
+                this.send(res, 401, { error: 'Unauthorized' });
+            } else if (route === 'POST /v1/analyses') {
+                this.submit(res, body);
+            } else if ((match = /^GET \/v1\/analyses\/([^/]+)(\/issues)?$/.exec(route))) {
+                this.poll(res, decodeURIComponent(match[1]), !!match[2]);
+            } else {
+                this.send(res, 404, { error: `No route for ${route}` });
+            }
+        });
+    }
+
+    send(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    isAuthorized(req) {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        if (!match) {
+            return false;
+        }
+        const token = match[1];
+        if (token in this.accessTokens) {
+            return ++this.accessTokens[token] <= this.tokenUses;
+        }
+        // API keys are used as access tokens as they are.
+        return !this.apiKeys || this.apiKeys.indexOf(token) >= 0;
+    }
+
+    login(res, { email, ethAddress, password }) {
+        if (!(email || ethAddress) || !password) {
+            this.send(res, 401, { error: 'Wrong credentials' });
+            return;
+        }
+        const { access, refresh } = this.issueTokens();
+        this.send(res, 200, { access, refresh });
+    }
+
+    refresh(res, { refreshToken, accessToken }) {
+        if (this.refreshTokens[refreshToken] !== accessToken) {
+            this.send(res, 400, { error: 'Invalid refresh token' });
+            return;
+        }
+        delete this.refreshTokens[refreshToken];
+        delete this.accessTokens[accessToken];
+        // Unlike login, refresh names them accessToken and refreshToken.
+        const { access, refresh } = this.issueTokens();
+        this.send(res, 200, { accessToken: access, refreshToken: refresh });
+    }
+
+    issueTokens() {
+        const access = randomId();
+        const refresh = randomId();
+        this.accessTokens[access] = 0;
+        this.refreshTokens[refresh] = access;
+        return { access, refresh };
+    }
+
+    submit(res, body) {
+        let input;
+        try {
+            input = JSON.parse(body);
+        } catch (err) {
+            this.send(res, 400, { details: [{ message: 'Request body is not JSON' }] });
+            return;
+        }
+        if (!input.data || !input.data.deployedBytecode) {
+            this.send(res, 400, { details: [{ message: 'deployedBytecode is required' }] });
+            return;
+        }
+        const uuid = randomId();
+        this.analyses[uuid] = { uuid, data: input.data, polls: 0 };
+        this.send(res, 200, { uuid, status: 'Queued' });
+    }
+
+    poll(res, uuid, issues) {
+        const analysis = this.analyses[uuid];
+        if (!analysis) {
+            this.send(res, 404, { error: `Analysis ${uuid} not found` });
+            return;
+        }
+        const status = analysis.polls++ < this.pendingPolls ? 'In progress' : 'Finished';
+        if (!issues) {
+            this.send(res, 200, { uuid, status });
+        } else if (status !== 'Finished') {
+            // armlet keeps polling until it gets a 200.
+            this.send(res, 404, { error: `Analysis ${uuid} is not finished` });
+        } else {
+            const reports = typeof this.reports === 'function' ? this.reports(analysis.data) : this.reports;
+            this.send(res, 200, reports);
+        }
+    }
+}
+
+module.exports = {
+    MockMythX,
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, defaultValue) => {
+        const i = args.indexOf(name);
+        return i >= 0 ? args[i + 1] : defaultValue;
+    };
+    const reportsFile = option('--reports', path.join(__dirname, '..', 'test', 'api-v1', 'MythXResults.json'));
+    const mock = new MockMythX({
+        reports: JSON.parse(fs.readFileSync(reportsFile, 'utf8')),
+        pendingPolls: parseInt(option('--pending-polls', '0'), 10),
+    });
+    mock.listen(parseInt(option('--port', '3100'), 10)).then(url => {
+        console.log(`Mock MythX API listening at ${url}, replaying ${reportsFile}`);
+    });
+}